@@ -0,0 +1,62 @@
+// benchmark.js
+import Ocr from './index.js';
+
+function getFlag(args, name, fallback) {
+    const flag = args.find(arg => arg.startsWith(`--${name}=`));
+    return flag ? Number(flag.split('=')[1]) : fallback;
+}
+
+async function measure(imagePath, { recognitionBatchSize, iterations }) {
+    const ocr = await Ocr.create({ language: 'en', recognitionBatchSize });
+
+    // Warm-up run so session initialisation doesn't skew the first sample
+    const result = await ocr.detect(imagePath, { grouped: false });
+
+    const timings = [];
+    for (let i = 0; i < iterations; i++) {
+        const start = process.hrtime.bigint();
+        await ocr.detect(imagePath, { grouped: false });
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+
+    const avgMs = timings.reduce((sum, t) => sum + t, 0) / timings.length;
+    return {
+        recognitionBatchSize,
+        avgMs,
+        minMs: Math.min(...timings),
+        linesPerSecond: result.totalElements / (avgMs / 1000),
+        texts: result.data.map(el => el.text)
+    };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const imagePath = args.find(arg => !arg.startsWith('--')) || './bs.jpeg';
+    const iterations = getFlag(args, 'iterations', 5);
+    const batchSize = getFlag(args, 'batch-size', 6);
+
+    console.log('⏱️  PureJS OCR - Recognition Batching Benchmark\n');
+    console.log(`📸 Image: ${imagePath}`);
+    console.log(`🔁 Iterations: ${iterations}\n`);
+
+    const unbatched = await measure(imagePath, { recognitionBatchSize: 1, iterations });
+    const batched = await measure(imagePath, { recognitionBatchSize: batchSize, iterations });
+
+    console.log('=' .repeat(60));
+    console.log('📊 RESULTS');
+    console.log('=' .repeat(60));
+    for (const run of [unbatched, batched]) {
+        console.log(`Batch size ${String(run.recognitionBatchSize).padStart(3)}: ` +
+            `avg ${run.avgMs.toFixed(1)}ms, min ${run.minMs.toFixed(1)}ms, ` +
+            `${run.linesPerSecond.toFixed(1)} lines/s`);
+    }
+
+    const mismatches = unbatched.texts.filter((text, i) => text !== batched.texts[i]).length;
+    console.log(`\nSpeedup: ${(unbatched.avgMs / batched.avgMs).toFixed(2)}x`);
+    console.log(`Lines: ${unbatched.texts.length} unbatched, ${batched.texts.length} batched, ${mismatches} differing`);
+}
+
+main().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,155 @@
+// bidi.js
+
+// =============================================================================
+// CHARACTER CLASSES
+// =============================================================================
+
+const RTL_SCRIPT = /^[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}]/u;
+const NUMBER_SEPARATORS = new Set(['.', ',', ':', '/', '٫', '٬']);
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+/**
+ * Bidi class of each unit: 'R' right-to-left letters, 'L' other letters,
+ * 'N' numbers (digits, and separators between digits) and 'O' neutrals.
+ * Combining marks take the class of the unit they follow.
+ */
+function classify(units) {
+    const classes = units.map(unit => {
+        if (/^\p{Nd}/u.test(unit)) return 'N';
+        if (RTL_SCRIPT.test(unit)) return 'R';
+        if (/^\p{L}/u.test(unit)) return 'L';
+        if (/^\p{M}/u.test(unit)) return 'M';
+        return 'O';
+    });
+    return classes.map((cls, i) => {
+        if (cls === 'M') return classes.slice(0, i).findLast(c => c !== 'M') ?? 'O';
+        if (cls === 'O' && NUMBER_SEPARATORS.has(units[i]) && classes[i - 1] === 'N' && classes[i + 1] === 'N') return 'N';
+        return cls;
+    });
+}
+
+/**
+ * The nearest class on each side of `[start, end)` among `wanted`
+ */
+function neighbours(classes, start, end, wanted) {
+    let before = null;
+    let after = null;
+    for (let i = start - 1; i >= 0 && !before; i--) if (wanted.includes(classes[i])) before = classes[i];
+    for (let i = end; i < classes.length && !after; i++) if (wanted.includes(classes[i])) after = classes[i];
+    return [before, after];
+}
+
+function runs(classes, cls) {
+    const found = [];
+    for (let i = 0; i < classes.length; i++) {
+        if (classes[i] !== cls) continue;
+        let end = i;
+        while (classes[end + 1] === cls) end++;
+        found.push([i, end + 1]);
+        i = end;
+    }
+    return found;
+}
+
+// =============================================================================
+// DIRECTION
+// =============================================================================
+
+/**
+ * A line's base direction: right to left when most of its letters are from a
+ * right-to-left script, null when it has no letters at all
+ * @param {string} text
+ * @returns {'ltr'|'rtl'|null}
+ */
+function baseDirection(text) {
+    const classes = classify(Array.from(text));
+    const rtl = classes.filter(c => c === 'R').length;
+    const ltr = classes.filter(c => c === 'L').length;
+    if (!rtl && !ltr) return null;
+    return rtl > ltr ? 'rtl' : 'ltr';
+}
+
+/**
+ * Embedding level of each unit, a simplified form of the Unicode bidirectional
+ * algorithm without explicit embeddings. Looking at the line as it was read,
+ * a number stays with any Latin text next to it in a right-to-left line, and
+ * in a left-to-right one only reads right to left with such text on both
+ * sides; neutrals take the direction of the text on both sides, or the line's.
+ */
+function resolveLevels(classes, rtl) {
+    const resolved = [...classes];
+    for (const [start, end] of runs(classes, 'N')) {
+        const [before, after] = neighbours(classes, start, end, ['L', 'R']);
+        const asLatin = rtl
+            ? before === 'L' || after === 'L'
+            : before !== 'R' || after !== 'R';
+        if (asLatin) resolved.fill('L', start, end);
+    }
+
+    const base = rtl ? 'R' : 'L';
+    for (const [start, end] of runs(resolved, 'O')) {
+        // Numbers count as right to left around neutrals
+        const [before, after] = neighbours(resolved, start, end, ['L', 'R', 'N'])
+            .map(cls => cls === 'N' ? 'R' : cls ?? base);
+        resolved.fill(before === after ? before : base, start, end);
+    }
+
+    const levels = rtl ? { R: 1, L: 2, N: 2 } : { L: 0, R: 1, N: 2 };
+    return resolved.map(cls => levels[cls]);
+}
+
+// =============================================================================
+// REORDERING
+// =============================================================================
+
+/**
+ * Put units read in visual order (left to right, as a recognizer reads a line)
+ * into logical order. Runs at each embedding level are reversed from the
+ * highest level down, which undoes the reordering a renderer applies, and
+ * brackets at right-to-left levels are mirrored back.
+ * @param {string[]} units - Characters in visual order
+ * @returns {{ index: number, text: string }[]} Logical order, with each unit's visual index
+ */
+function reorderVisual(units) {
+    const classes = classify(units);
+    const rtlCount = classes.filter(c => c === 'R').length;
+    if (!rtlCount) return units.map((text, index) => ({ index, text }));
+
+    const ltrCount = classes.filter(c => c === 'L').length;
+    const levels = resolveLevels(classes, rtlCount > ltrCount);
+    let order = units.map((_, index) => index);
+    for (let level = Math.max(...levels); level >= 1; level--) {
+        const next = [];
+        for (let i = 0; i < order.length; i++) {
+            if (levels[order[i]] < level) {
+                next.push(order[i]);
+                continue;
+            }
+            let end = i;
+            while (end + 1 < order.length && levels[order[end + 1]] >= level) end++;
+            next.push(...order.slice(i, end + 1).reverse());
+            i = end;
+        }
+        order = next;
+    }
+
+    return order.map(index => ({
+        index,
+        text: levels[index] % 2 ? MIRRORED[units[index]] ?? units[index] : units[index]
+    }));
+}
+
+/**
+ * Text read in visual order, in logical order
+ * @param {string} text
+ * @returns {string}
+ */
+function logicalText(text) {
+    return reorderVisual(Array.from(text)).map(unit => unit.text).join('');
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { baseDirection, reorderVisual, logicalText };
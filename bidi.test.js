@@ -0,0 +1,57 @@
+// bidi.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { baseDirection, reorderVisual, logicalText } from './bidi.js';
+
+// Texts are written as a recognizer reads them: left to right across the image
+describe('baseDirection', () => {
+    it('follows the script of most letters', () => {
+        assert.equal(baseDirection('םולש'), 'rtl');
+        assert.equal(baseDirection('I said םולש today'), 'ltr');
+        assert.equal(baseDirection('ABC םולש'), 'rtl');
+    });
+
+    it('is null without letters', () => {
+        assert.equal(baseDirection('12.5 ...'), null);
+        assert.equal(baseDirection(''), null);
+    });
+});
+
+describe('logicalText', () => {
+    it('reverses right-to-left words', () => {
+        assert.equal(logicalText('םולש'), 'שלום');
+    });
+
+    it('keeps numbers left to right inside right-to-left lines', () => {
+        assert.equal(logicalText('123 םולש'), 'שלום 123');
+        assert.equal(logicalText('12.5 םולש'), 'שלום 12.5');
+    });
+
+    it('keeps Latin runs in order in right-to-left lines', () => {
+        assert.equal(logicalText('ABC םולש'), 'שלום ABC');
+    });
+
+    it('reverses only the right-to-left run of a left-to-right line', () => {
+        assert.equal(logicalText('I said םולש today'), 'I said שלום today');
+    });
+
+    it('mirrors brackets back', () => {
+        assert.equal(logicalText('(םולש)'), '(שלום)');
+    });
+
+    it('leaves text without right-to-left letters alone', () => {
+        assert.equal(logicalText('abc (42)'), 'abc (42)');
+    });
+});
+
+describe('reorderVisual', () => {
+    it('keeps each unit\'s visual index', () => {
+        assert.deepEqual(reorderVisual(['ב', 'א', ' ', '7']), [
+            { index: 3, text: '7' },
+            { index: 2, text: ' ' },
+            { index: 1, text: 'א' },
+            { index: 0, text: 'ב' }
+        ]);
+        assert.deepEqual(reorderVisual(['a', 'b']), [{ index: 0, text: 'a' }, { index: 1, text: 'b' }]);
+    });
+});
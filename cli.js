@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+// cli.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import Ocr, { toHocr, toText, toTsv, evaluate, formatEvaluationReport } from './index.js';
+import { serve, parsePageList, SERVER_DEFAULTS } from './server.js';
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+const OCR_USAGE = `Recognition:
+  -l, --language <codes>         Language code, or several separated by commas (default: en)
+      --language-pack <file>     Register the languages of a language-pack manifest (repeatable)
+      --detection-threshold <n>  Text detection threshold (0-1)
+      --confidence-threshold <n> Recognition confidence threshold (0-1)
+      --unclip-ratio <n>         Box expansion ratio
+      --min-box-size <n>         Minimum text box size
+      --max-box-size <n>         Maximum text box size
+      --max-image-size <n>       Longest image side used for detection
+      --batch-size <n>           Text lines per recognition batch
+      --angle-classifier         Flip upside-down text lines before recognition
+      --auto-rotate              Undo 90°/180°/270° page rotation
+      --deskew                   Straighten slightly skewed pages
+      --tiling                   Detect on full-resolution tiles for large images
+
+Models:
+      --detection-model <path>   Custom detection model
+      --recognition-model <path> Custom recognition model
+      --dictionary <path>        Custom recognition dictionary
+      --cls-model <path>         Custom angle classification model
+      --cache-dir <dir>          Where missing default models are downloaded to
+      --model-mirror <url>       Download default models from this base URL
+      --offline                  Don't download missing models
+
+  -h, --help                     Show this help
+`;
+
+const USAGE = `Usage: purejs-ocr [options] <file|directory|glob>...
+       purejs-ocr serve [options]
+       purejs-ocr evaluate [options] <dataset-dir>
+       purejs-ocr tune [options] <dataset-dir>
+
+Recognize text in images and PDFs. Directories are searched recursively for
+supported files; quote globs (e.g. "scans/**/*.png") to let purejs-ocr expand them.
+
+Output:
+  -f, --format <format>          json, text, hocr or tsv (default: text)
+  -o, --output-dir <dir>         Write one file per input here instead of to stdout
+  -c, --concurrency <n>          Inputs processed at the same time (default: 1)
+      --ungrouped                Don't group lines into paragraphs
+      --layout                   Find columns and order text in reading order
+      --tables                   Reconstruct tables, using ruling lines too (json output)
+      --pages <list>             Zero-based pages to process, e.g. 0,2-4 (default: all)
+      --dpi <n>                  PDF rasterization resolution (default: 200)
+      --debug <dir>              Write debug images (overlay, heatmap, mask, paragraphs,
+                                 line crops) to <dir>/<input name>/page-<n>/
+
+${OCR_USAGE}`;
+
+const SERVE_USAGE = `Usage: purejs-ocr serve [options]
+
+Serve OCR over HTTP, keeping models loaded between requests:
+  POST /ocr         Image as the raw body or a multipart upload;
+                    query: language=en,ch  grouped=false  pages=all|0,2-4
+                    (languages out of those given with --language)
+  GET  /languages   Languages the server loaded
+  GET  /health      Liveness
+  GET  /ready       Readiness (503 until the models have loaded)
+
+Server:
+  -p, --port <n>                 Port to listen on (default: ${SERVER_DEFAULTS.PORT})
+      --host <host>              Interface to bind (default: all)
+  -c, --concurrency <n>          OCR requests processed at the same time (default: ${SERVER_DEFAULTS.CONCURRENCY})
+      --max-queue <n>            Requests waiting for a slot before 429 (default: ${SERVER_DEFAULTS.MAX_QUEUE})
+      --max-body-size <bytes>    Largest accepted upload (default: ${SERVER_DEFAULTS.MAX_BODY_SIZE})
+
+${OCR_USAGE}`;
+
+const DATASET_USAGE = `  -g, --ground-truth <dir>       Where the annotation files are (default: next to the images)
+      --iou-threshold <n>        Least IoU for a detection to match a region (default: 0.5)
+      --level <level>            Compare against detected lines, words or paragraphs (default: line)
+      --ignore-case              Compare texts case-insensitively
+`;
+
+const EVALUATE_USAGE = `Usage: purejs-ocr evaluate [options] <dataset-dir>
+
+Score OCR against labeled images: detection precision, recall and F1 of
+IoU-matched polygons, character and word error rates, per language (the first
+subdirectory) and for the worst images. Each image needs ICDAR-style ground
+truth, gt_<name>.txt or <name>.txt, with x1,y1,...,x4,y4,text lines.
+
+Evaluation:
+${DATASET_USAGE}      --worst <n>                Images listed with a diff of their errors (default: 5)
+  -f, --format <format>          text or json (default: text)
+
+${OCR_USAGE}`;
+
+const TUNE_USAGE = `Usage: purejs-ocr tune [options] <dataset-dir>
+
+Search detection, recognition and grouping parameters for the values that
+score best on a labeled dataset (laid out as for purejs-ocr evaluate), and
+print them as Ocr.create options JSON. Each combination of detection
+parameters takes one OCR pass over the dataset.
+
+Tuning:
+      --metric <metric>          f1, precision or recall (maximized), cer or wer (minimized) (default: f1)
+      --strategy <strategy>      random or grid (default: random)
+      --trials <n>               Combinations tried by the random search (default: 40)
+      --seed <n>                 Random search seed (default: 1)
+      --parameters <names>       Parameters to search, separated by commas (default: all that
+                                 apply at the --level)
+      --space <file>             JSON file of values per parameter: a list, or { min, max, step }
+  -o, --output <file>            Write the options JSON here instead of to stdout
+${DATASET_USAGE}
+${OCR_USAGE}`;
+
+const OCR_OPTIONS = {
+    'language': { type: 'string', short: 'l' },
+    'language-pack': { type: 'string', multiple: true },
+    'detection-threshold': { type: 'string' },
+    'confidence-threshold': { type: 'string' },
+    'unclip-ratio': { type: 'string' },
+    'min-box-size': { type: 'string' },
+    'max-box-size': { type: 'string' },
+    'max-image-size': { type: 'string' },
+    'batch-size': { type: 'string' },
+    'angle-classifier': { type: 'boolean' },
+    'auto-rotate': { type: 'boolean' },
+    'deskew': { type: 'boolean' },
+    'tiling': { type: 'boolean' },
+    'detection-model': { type: 'string' },
+    'recognition-model': { type: 'string' },
+    'dictionary': { type: 'string' },
+    'cls-model': { type: 'string' },
+    'cache-dir': { type: 'string' },
+    'model-mirror': { type: 'string' },
+    'offline': { type: 'boolean' },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+const OPTIONS = {
+    'format': { type: 'string', short: 'f', default: 'text' },
+    'output-dir': { type: 'string', short: 'o' },
+    'concurrency': { type: 'string', short: 'c', default: '1' },
+    'ungrouped': { type: 'boolean', default: false },
+    'layout': { type: 'boolean', default: false },
+    'tables': { type: 'boolean', default: false },
+    'pages': { type: 'string' },
+    'dpi': { type: 'string' },
+    'debug': { type: 'string' },
+    ...OCR_OPTIONS
+};
+
+const SERVE_OPTIONS = {
+    'port': { type: 'string', short: 'p', default: String(SERVER_DEFAULTS.PORT) },
+    'host': { type: 'string' },
+    'concurrency': { type: 'string', short: 'c', default: String(SERVER_DEFAULTS.CONCURRENCY) },
+    'max-queue': { type: 'string', default: String(SERVER_DEFAULTS.MAX_QUEUE) },
+    'max-body-size': { type: 'string', default: String(SERVER_DEFAULTS.MAX_BODY_SIZE) },
+    ...OCR_OPTIONS
+};
+
+const DATASET_OPTIONS = {
+    'ground-truth': { type: 'string', short: 'g' },
+    'iou-threshold': { type: 'string', default: '0.5' },
+    'level': { type: 'string', default: 'line' },
+    'ignore-case': { type: 'boolean', default: false },
+    ...OCR_OPTIONS
+};
+
+const EVALUATE_OPTIONS = {
+    'worst': { type: 'string', default: '5' },
+    'format': { type: 'string', short: 'f', default: 'text' },
+    ...DATASET_OPTIONS
+};
+
+const TUNE_OPTIONS = {
+    'metric': { type: 'string', default: 'f1' },
+    'strategy': { type: 'string', default: 'random' },
+    'trials': { type: 'string', default: '40' },
+    'seed': { type: 'string', default: '1' },
+    'parameters': { type: 'string' },
+    'space': { type: 'string' },
+    'output': { type: 'string', short: 'o' },
+    ...DATASET_OPTIONS
+};
+
+const FORMATS = {
+    json: { extension: '.json', format: pages => JSON.stringify(pages, null, 2) + '\n' },
+    text: { extension: '.txt', format: pages => toText(pages) },
+    hocr: { extension: '.hocr', format: (pages, file) => toHocr(pages, { imageFilename: path.basename(file) }) },
+    tsv: { extension: '.tsv', format: pages => toTsv(pages) }
+};
+
+const SUPPORTED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff', '.gif', '.avif', '.pdf']);
+
+class UsageError extends Error {
+    constructor(message, usage = USAGE) {
+        super(message);
+        this.usage = usage;
+    }
+}
+
+function toNumber(values, name, { integer = false, min = 0 } = {}) {
+    const value = values[name];
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+        throw new UsageError(`--${name} expects ${integer ? 'an integer' : 'a number'} >= ${min}, got: ${value}`);
+    }
+    return number;
+}
+
+function parsePages(value) {
+    if (value === undefined) return undefined;
+    try {
+        return parsePageList(value);
+    } catch (error) {
+        throw new UsageError(`--pages: ${error.message}`);
+    }
+}
+
+function parseCommandLine(argv, options, usage) {
+    try {
+        return parseArgs({ args: argv, options, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message, usage);
+    }
+}
+
+async function loadLanguagePacks(values) {
+    for (const manifest of values['language-pack'] ?? []) await Ocr.loadLanguagePack(manifest);
+}
+
+/**
+ * Map parsed flags onto `Ocr.create` options, leaving unset flags to the library defaults
+ */
+function toOcrOptions(values) {
+    const languages = values.language?.split(',').map(code => code.trim()).filter(Boolean);
+    const options = {
+        ...(languages?.length > 1 ? { languages } : { language: languages?.[0] }),
+        detectionThreshold: toNumber(values, 'detection-threshold'),
+        confidenceThreshold: toNumber(values, 'confidence-threshold'),
+        unclipRatio: toNumber(values, 'unclip-ratio'),
+        minBoxSize: toNumber(values, 'min-box-size'),
+        maxBoxSize: toNumber(values, 'max-box-size'),
+        maxImageSize: toNumber(values, 'max-image-size', { integer: true, min: 1 }),
+        recognitionBatchSize: toNumber(values, 'batch-size', { integer: true, min: 1 }),
+        useAngleClassifier: values['angle-classifier'],
+        autoRotate: values['auto-rotate'],
+        deskew: values.deskew,
+        tiling: values.tiling,
+        detectionModelPath: values['detection-model'],
+        recognitionModelPath: values['recognition-model'],
+        dictionaryPath: values.dictionary,
+        clsModelPath: values['cls-model'],
+        cacheDir: values['cache-dir'],
+        modelMirror: values['model-mirror'],
+        downloadModels: values.offline ? false : undefined
+    };
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// =============================================================================
+// INPUTS
+// =============================================================================
+
+function hasGlobMagic(pattern) {
+    return /[*?[]/.test(pattern);
+}
+
+/**
+ * `**` matches any number of directories, `*` and `?` stay within one path segment
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await walk(fullPath));
+        else if (entry.isFile()) files.push(fullPath);
+    }
+    return files;
+}
+
+/**
+ * Expand the command-line arguments into `{ file, name }` inputs, where `name`
+ * is the output path relative to the output directory. Arguments that match
+ * nothing are returned as failures.
+ */
+async function collectInputs(args) {
+    const inputs = [], failures = [];
+    const seen = new Set();
+    const add = (file, name) => {
+        if (seen.has(path.resolve(file))) return;
+        seen.add(path.resolve(file));
+        inputs.push({ file, name });
+    };
+    const isSupported = file => SUPPORTED_EXTENSIONS.has(path.extname(file).toLowerCase());
+
+    for (const arg of args) {
+        if (hasGlobMagic(arg)) {
+            const pattern = arg.split(path.sep).join('/');
+            const segments = pattern.split('/');
+            const firstMagic = segments.findIndex(hasGlobMagic);
+            const base = segments.slice(0, firstMagic).join('/') || '.';
+            const regExp = globToRegExp(segments.slice(firstMagic).join('/'));
+            const matches = (await walk(base).catch(() => []))
+                .map(file => path.relative(base, file).split(path.sep).join('/'))
+                .filter(relative => regExp.test(relative));
+            if (!matches.length) failures.push({ file: arg, error: new Error('No files match this pattern') });
+            for (const relative of matches) add(path.join(base, relative), relative);
+            continue;
+        }
+
+        const stats = await fs.stat(arg).catch(() => null);
+        if (!stats) {
+            failures.push({ file: arg, error: new Error('No such file or directory') });
+        } else if (stats.isDirectory()) {
+            const files = (await walk(arg)).filter(isSupported);
+            if (!files.length) failures.push({ file: arg, error: new Error('No supported files in directory') });
+            for (const file of files) add(file, path.relative(arg, file));
+        } else {
+            add(arg, path.basename(arg));
+        }
+    }
+
+    return { inputs, failures };
+}
+
+// =============================================================================
+// PROCESSING
+// =============================================================================
+
+/**
+ * Run `task` over `items` with at most `concurrency` in flight, calling
+ * `onResult` in input order as soon as each result and its predecessors are done
+ */
+async function runInOrder(items, concurrency, task, onResult) {
+    const settled = new Array(items.length);
+    let next = 0, emitted = 0;
+
+    // Flushes are chained so two finishing workers never emit the same result
+    let flushing = Promise.resolve();
+    const flush = () => flushing = flushing.then(async () => {
+        while (emitted < items.length && settled[emitted]) {
+            await onResult(items[emitted], settled[emitted]);
+            settled[emitted++] = null;
+        }
+    });
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            settled[index] = await task(items[index]).then(
+                value => ({ value }),
+                error => ({ error }));
+            await flush();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+async function runServer(argv) {
+    const { values, positionals } = parseCommandLine(argv, SERVE_OPTIONS, SERVE_USAGE);
+    if (values.help) {
+        process.stdout.write(SERVE_USAGE);
+        return 0;
+    }
+    if (positionals.length) throw new UsageError(`Unexpected argument: ${positionals[0]}`, SERVE_USAGE);
+
+    await loadLanguagePacks(values);
+    const server = await serve({
+        ...toOcrOptions(values),
+        port: toNumber(values, 'port', { integer: true }),
+        host: values.host,
+        concurrency: toNumber(values, 'concurrency', { integer: true, min: 1 }),
+        maxQueue: toNumber(values, 'max-queue', { integer: true }),
+        maxBodySize: toNumber(values, 'max-body-size', { integer: true, min: 1 })
+    });
+    const { address, port } = server.address();
+    console.error(`purejs-ocr listening on http://${address.includes(':') ? `[${address}]` : address}:${port}`);
+
+    const { error } = await server.ready;
+    if (error) {
+        server.close();
+        throw new Error(`Failed to load models: ${error}`);
+    }
+    console.error('Models loaded, ready for requests');
+
+    await new Promise(resolve => {
+        const shutdown = () => server.close(resolve);
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+    return 0;
+}
+
+/**
+ * Map the flags shared by evaluate and tune onto their dataset and scoring options
+ */
+function toDatasetOptions(values, usage) {
+    if (!['line', 'word', 'paragraph'].includes(values.level)) {
+        throw new UsageError(`--level expects line, word or paragraph, got: ${values.level}`, usage);
+    }
+    const iouThreshold = toNumber(values, 'iou-threshold');
+    if (!iouThreshold || iouThreshold > 1) {
+        throw new UsageError(`--iou-threshold expects a number in (0, 1], got: ${values['iou-threshold']}`, usage);
+    }
+    return {
+        groundTruthDir: values['ground-truth'],
+        iouThreshold,
+        level: values.level,
+        ignoreCase: values['ignore-case']
+    };
+}
+
+async function runEvaluate(argv) {
+    const { values, positionals } = parseCommandLine(argv, EVALUATE_OPTIONS, EVALUATE_USAGE);
+    if (values.help) {
+        process.stdout.write(EVALUATE_USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) throw new UsageError('Expected one dataset directory', EVALUATE_USAGE);
+    if (!['text', 'json'].includes(values.format)) throw new UsageError(`--format expects text or json, got: ${values.format}`, EVALUATE_USAGE);
+    const datasetOptions = toDatasetOptions(values, EVALUATE_USAGE);
+    const worst = toNumber(values, 'worst', { integer: true });
+
+    const ocrOptions = toOcrOptions(values);
+    await loadLanguagePacks(values);
+    const ocr = await Ocr.create(ocrOptions);
+    const report = await evaluate(ocr, positionals[0], {
+        ...datasetOptions,
+        onImage: score => console.error(`${score.name}: CER ${(score.cer * 100).toFixed(1)}%, F1 ${(score.f1 * 100).toFixed(1)}%`)
+    });
+
+    process.stdout.write(values.format === 'json'
+        ? JSON.stringify({ ...report, failures: report.failures.map(({ file, error }) => ({ file, error: error.message })) }, null, 2) + '\n'
+        : formatEvaluationReport(report, { worst }));
+    return report.images.length ? 0 : 1;
+}
+
+async function runTune(argv) {
+    const { values, positionals } = parseCommandLine(argv, TUNE_OPTIONS, TUNE_USAGE);
+    if (values.help) {
+        process.stdout.write(TUNE_USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) throw new UsageError('Expected one dataset directory', TUNE_USAGE);
+    const datasetOptions = toDatasetOptions(values, TUNE_USAGE);
+    const space = values.space ? JSON.parse(await fs.readFile(values.space, 'utf8')) : undefined;
+
+    const ocrOptions = toOcrOptions(values);
+    await loadLanguagePacks(values);
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const result = await Ocr.tune(positionals[0], {
+        ...datasetOptions,
+        ocrOptions,
+        metric: values.metric,
+        strategy: values.strategy,
+        trials: toNumber(values, 'trials', { integer: true, min: 1 }),
+        seed: toNumber(values, 'seed', { integer: true }),
+        parameters: values.parameters?.split(',').map(name => name.trim()).filter(Boolean),
+        space,
+        onTrial: ({ parameters, score }) => console.error(`${values.metric} ${percent(score)}  ${JSON.stringify(parameters)}`)
+    });
+
+    for (const { file, error } of result.failures) console.error(`Skipped ${file}: ${error.message}`);
+    console.error(`Best ${values.metric}: ${percent(result.best.score)} (current settings: ${percent(result.baseline.score)})`);
+    const content = JSON.stringify(result.options, null, 2) + '\n';
+    if (values.output) await fs.writeFile(values.output, content);
+    else process.stdout.write(content);
+    return 0;
+}
+
+async function run(argv) {
+    if (argv[0] === 'serve') return await runServer(argv.slice(1));
+    if (argv[0] === 'evaluate') return await runEvaluate(argv.slice(1));
+    if (argv[0] === 'tune') return await runTune(argv.slice(1));
+
+    const { values, positionals } = parseCommandLine(argv, OPTIONS, USAGE);
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (!positionals.length) throw new UsageError('No inputs given');
+
+    const output = FORMATS[values.format];
+    if (!output) throw new UsageError(`Unknown --format ${values.format}. Available: ${Object.keys(FORMATS).join(', ')}`);
+    const concurrency = toNumber(values, 'concurrency', { integer: true, min: 1 });
+    const detectOptions = {
+        grouped: !values.ungrouped,
+        layout: values.layout,
+        tables: values.tables && { rulingLines: true },
+        pages: parsePages(values.pages),
+        dpi: toNumber(values, 'dpi', { min: 1 })
+    };
+    const ocrOptions = toOcrOptions(values);
+    await loadLanguagePacks(values);
+
+    const { inputs, failures } = await collectInputs(positionals);
+    const total = inputs.length + failures.length;
+    const ocr = inputs.length ? await Ocr.create(ocrOptions) : null;
+    const outputDir = values['output-dir'];
+    const showHeaders = !outputDir && inputs.length > 1;
+
+    const readInput = ({ file, name }) => ocr.detectPages(file, {
+        ...detectOptions,
+        ...(values.debug && { debug: { outputDir: path.join(values.debug, name) } })
+    });
+    await runInOrder(inputs, concurrency, readInput, async (input, { value, error }) => {
+        if (error) {
+            failures.push({ file: input.file, error });
+            return;
+        }
+
+        // A file that can't be written fails on its own, like one that can't be read
+        try {
+            const content = output.format(value, input.file);
+            if (outputDir) {
+                const target = path.join(outputDir, input.name + output.extension);
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, content);
+            } else {
+                if (showHeaders) process.stdout.write(`==> ${input.file} <==\n`);
+                process.stdout.write(content);
+            }
+        } catch (error) {
+            failures.push({ file: input.file, error });
+        }
+    });
+
+    if (failures.length) {
+        console.error(`Failed to process ${failures.length} of ${total} input(s):`);
+        for (const { file, error } of failures) console.error(`  ${file}: ${error.message}`);
+        return 1;
+    }
+    return 0;
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    if (error instanceof UsageError) {
+        console.error(`purejs-ocr: ${error.message}\n`);
+        console.error(error.usage);
+        process.exitCode = 2;
+        return;
+    }
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+});
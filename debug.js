@@ -0,0 +1,178 @@
+// debug.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { escapeXml } from './exporters.js';
+
+// =============================================================================
+// DRAWING
+// =============================================================================
+
+const DEBUG_COLORS = {
+    ACCEPTED: '#00c853',
+    REJECTED: '#ff1744',
+    CONTOUR: '#ffd600',
+    BOX: '#00b8d4'
+};
+
+// Golden-angle hue steps keep neighbouring paragraphs apart
+const paragraphColor = index => `hsl(${Math.round(index * 137.508) % 360}, 90%, 40%)`;
+
+function rawInput({ width, height }) {
+    return { raw: { width, height, channels: 4 } };
+}
+
+function toPng(image) {
+    return sharp(image.data, rawInput(image)).png().toBuffer();
+}
+
+function svgLayer({ width, height }, shapes) {
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`);
+}
+
+function polygon(points, color, { strokeWidth = 2, dashed = false } = {}) {
+    return `<polygon points="${points.map(([x, y]) => `${x},${y}`).join(' ')}" fill="none" stroke="${color}" ` +
+        `stroke-width="${strokeWidth}"${dashed ? ' stroke-dasharray="6 4"' : ''}/>`;
+}
+
+/**
+ * Text on a filled background just above `[x, y]`, sized from the box height
+ */
+function label(text, [x, y], color, boxHeight) {
+    const size = Math.max(10, Math.min(24, Math.round(boxHeight * 0.6)));
+    // No text measuring in SVG: estimate, with CJK and other wide characters a full em
+    const width = Math.ceil(Array.from(text).reduce((sum, char) => sum + (char.codePointAt(0) < 0x2E80 ? 0.6 : 1), 0) * size) + 4;
+    const top = Math.max(0, y - size - 4);
+    return `<rect x="${x}" y="${top}" width="${width}" height="${size + 4}" fill="${color}" fill-opacity="0.85"/>` +
+        `<text x="${x + 2}" y="${top + size}" font-family="sans-serif" font-size="${size}" fill="#fff">${escapeXml(text)}</text>`;
+}
+
+function boxHeight(points) {
+    const ys = points.map(p => p[1]);
+    return Math.max(...ys) - Math.min(...ys);
+}
+
+/**
+ * Jet colour ramp: dark blue at 0 through cyan, green and yellow to dark red at 1
+ */
+function heatColor(p) {
+    const channel = centre => Math.round(255 * Math.max(0, Math.min(1, 1.5 - Math.abs(4 * p - centre))));
+    return [channel(3), channel(2), channel(1)];
+}
+
+// =============================================================================
+// DEBUG IMAGES
+// =============================================================================
+
+/**
+ * Every recognized line on the page: accepted ones solid with their text and
+ * confidence, ones under the confidence threshold dashed
+ */
+async function renderOverlay(image, lines) {
+    const shapes = lines.map(({ box, text, confidence, accepted }) => {
+        const color = accepted ? DEBUG_COLORS.ACCEPTED : DEBUG_COLORS.REJECTED;
+        return polygon(box, color, { dashed: !accepted }) +
+            label(`${text.trim() || '(empty)'} ${Math.round(confidence * 100)}%`, box[0], color, boxHeight(box));
+    });
+    return await sharp(image.data, rawInput(image)).composite([{ input: svgLayer(image, shapes) }]).png().toBuffer();
+}
+
+/**
+ * The detection model's text probability per pixel, stretched to the page
+ */
+async function renderHeatmap({ data, width, height }, size) {
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels.set([...heatColor(data[i]), 255], i * 4);
+    }
+    return await sharp(pixels, rawInput({ width, height })).resize(size.width, size.height, { fit: 'fill' }).png().toBuffer();
+}
+
+/**
+ * The thresholded probability map with the contours traced on it (before
+ * unclipping and the minBoxSize check) and the boxes kept from them
+ */
+async function renderMask(mask, size, contours = [], boxes = []) {
+    const shapes = [
+        ...contours.map(points => polygon(points, DEBUG_COLORS.CONTOUR, { strokeWidth: 1 })),
+        ...boxes.map(points => polygon(points, DEBUG_COLORS.BOX))
+    ];
+    return await sharp(mask.data, rawInput(mask))
+        .resize(size.width, size.height, { fit: 'fill', kernel: 'nearest' })
+        .composite([{ input: svgLayer(size, shapes) }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Paragraph bounding boxes over their elements, one colour per paragraph
+ */
+async function renderParagraphs(image, paragraphs) {
+    const shapes = paragraphs.flatMap(({ boundingBox: { left, top, width, height }, elements }, index) => {
+        const color = paragraphColor(index);
+        const frame = [[left, top], [left + width, top], [left + width, top + height], [left, top + height]];
+        return [
+            ...elements.map(element => polygon(element.box, color, { strokeWidth: 1 })),
+            polygon(frame, color, { strokeWidth: 3 }),
+            label(`¶${index + 1}`, frame[0], color, 24)
+        ];
+    });
+    return await sharp(image.data, rawInput(image)).composite([{ input: svgLayer(image, shapes) }]).png().toBuffer();
+}
+
+/**
+ * Debug images of one page as PNG buffers. The trace is what detection and
+ * recognition recorded while reading the page; the probability map, mask and
+ * contours are missing when reading regions.
+ * @param {Object} trace - `{ image, probabilities, mask, contours, boxes, lines }`
+ * @param {Object} result - The page's detect result
+ * @returns {Promise<Object>} `{ overlay, heatmap, mask, paragraphs, crops }`; `crops` are
+ *   `{ text, confidence, accepted, box, image }` per line, in detection order
+ */
+async function renderDebug(trace, result) {
+    const { image, lines = [] } = trace;
+    const crops = [];
+    for (const { image: crop, ...line } of lines) {
+        crops.push({ ...line, image: await toPng(crop) });
+    }
+    return {
+        overlay: await renderOverlay(image, lines),
+        heatmap: trace.probabilities ? await renderHeatmap(trace.probabilities, image) : null,
+        mask: trace.mask ? await renderMask(trace.mask, image, trace.contours, trace.boxes) : null,
+        paragraphs: result.paragraphs ? await renderParagraphs(image, result.paragraphs) : null,
+        crops
+    };
+}
+
+/**
+ * Write renderDebug output to `outputDir`: overlay.png, heatmap.png, mask.png,
+ * paragraphs.png, and crops/NNN.png with crops.json listing their text
+ * @returns {Promise<Object>} The same shape, with file paths instead of buffers
+ */
+async function writeDebug(debug, outputDir) {
+    await fs.mkdir(path.join(outputDir, 'crops'), { recursive: true });
+    const written = {};
+    for (const name of ['overlay', 'heatmap', 'mask', 'paragraphs']) {
+        if (!debug[name]) {
+            written[name] = null;
+            continue;
+        }
+        written[name] = path.join(outputDir, `${name}.png`);
+        await fs.writeFile(written[name], debug[name]);
+    }
+
+    written.crops = [];
+    for (const [index, crop] of debug.crops.entries()) {
+        const file = path.join(outputDir, 'crops', `${String(index).padStart(3, '0')}.png`);
+        await fs.writeFile(file, crop.image);
+        written.crops.push({ ...crop, image: file });
+    }
+    await fs.writeFile(path.join(outputDir, 'crops.json'), JSON.stringify(written.crops, null, 2) + '\n');
+    return written;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { renderDebug, writeDebug };
@@ -0,0 +1,435 @@
+// evaluate.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import clipper from 'js-clipper';
+import invariant from 'tiny-invariant';
+import Ocr from './index.js';
+
+// =============================================================================
+// GROUND TRUTH
+// =============================================================================
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff', '.gif', '.avif']);
+
+// Transcription of regions that are annotated but not scored (ICDAR "don't care")
+const DONT_CARE = '###';
+
+// Script column of ICDAR MLT annotations, between the points and the text
+const MLT_SCRIPTS = new Set(['Arabic', 'Latin', 'Chinese', 'Japanese', 'Korean', 'Bangla', 'Hindi', 'Symbols', 'Mixed', 'None']);
+
+const isNumber = field => /^\s*-?\d+(\.\d+)?\s*$/.test(field);
+
+/**
+ * Parse ICDAR-style ground truth, one region per line:
+ * `x1,y1,x2,y2,x3,y3,x4,y4,text` (ICDAR 2015, the script column of ICDAR MLT
+ * is skipped) or `left,top,right,bottom,"text"` (ICDAR 2013). A text of `###`
+ * marks a region that is neither required nor counted as a false detection.
+ * @param {string} content - Annotation file content
+ * @returns {{ points: number[][], text: string, dontCare: boolean }[]}
+ */
+function parseIcdarAnnotations(content) {
+    return content.replace(/^\uFEFF/, '').split(/\r?\n/).flatMap((line, i) => {
+        if (!line.trim()) return [];
+        const fields = line.split(',');
+
+        let points, text;
+        if (fields.length > 8 && fields.slice(0, 8).every(isNumber)) {
+            const coords = fields.slice(0, 8).map(Number);
+            points = [0, 2, 4, 6].map(j => [coords[j], coords[j + 1]]);
+            text = fields.slice(MLT_SCRIPTS.has(fields[8]) && fields.length > 9 ? 9 : 8).join(',');
+        } else {
+            const rect = line.match(/^\s*(-?[\d.]+)[,\s]\s*(-?[\d.]+)[,\s]\s*(-?[\d.]+)[,\s]\s*(-?[\d.]+)[,\s]\s*"(.*)"\s*$/);
+            if (rect) {
+                const [left, top, right, bottom] = rect.slice(1, 5).map(Number);
+                points = [[left, top], [right, top], [right, bottom], [left, bottom]];
+                text = rect[5];
+            }
+        }
+        invariant(points, `Line ${i + 1}: expected x1,y1,...,x4,y4,text or left,top,right,bottom,"text", got: ${line}`);
+
+        text = text.trim().replace(/^"(.*)"$/, '$1');
+        return [{ points, text, dontCare: text === DONT_CARE }];
+    });
+}
+
+async function findFile(candidates) {
+    for (const file of candidates) {
+        if (await fs.stat(file).then(stats => stats.isFile(), () => false)) return file;
+    }
+    return null;
+}
+
+async function listImages(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await listImages(fullPath));
+        else if (entry.isFile() && IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) files.push(fullPath);
+    }
+    return files;
+}
+
+/**
+ * Pair every image under `dir` with its ground truth, `gt_<name>.txt` or
+ * `<name>.txt` next to the image or at the same relative path under
+ * `groundTruthDir`. An image in a subdirectory belongs to the language named
+ * by the first directory (`dataset/ja/001.png` is `ja`).
+ * @param {string} dir - Dataset directory
+ * @param {Object} options
+ * @param {string} options.groundTruthDir - Where annotation files are (default: next to the images)
+ * @returns {Promise<{ images: Object[], skipped: Object[] }>} Images as `{ file, name, language, regions }`;
+ *   skipped ones (no ground truth) as `{ file, error }`
+ */
+async function loadDataset(dir, { groundTruthDir = dir } = {}) {
+    const files = await listImages(dir);
+    invariant(files.length, `No images found in ${dir}`);
+
+    const images = [], skipped = [];
+    for (const file of files) {
+        const name = path.relative(dir, file);
+        const stem = path.basename(name, path.extname(name));
+        const gtDir = path.join(groundTruthDir, path.dirname(name));
+        const gtFile = await findFile([path.join(gtDir, `gt_${stem}.txt`), path.join(gtDir, `${stem}.txt`)]);
+        if (!gtFile) {
+            skipped.push({ file, error: new Error(`No ground truth (gt_${stem}.txt or ${stem}.txt in ${gtDir})`) });
+            continue;
+        }
+
+        let regions;
+        try {
+            regions = parseIcdarAnnotations(await fs.readFile(gtFile, 'utf8'));
+        } catch (error) {
+            skipped.push({ file, error: new Error(`${gtFile}: ${error.message}`) });
+            continue;
+        }
+        const segments = name.split(path.sep);
+        images.push({ file, name, language: segments.length > 1 ? segments[0] : null, regions });
+    }
+    return { images, skipped };
+}
+
+// =============================================================================
+// GEOMETRY
+// =============================================================================
+
+// Clipper works on integers, so coordinates are scaled up to keep sub-pixel precision
+const CLIPPER_SCALE = 100;
+
+function toClipperPath(points) {
+    return points.map(([x, y]) => ({ X: Math.round(x * CLIPPER_SCALE), Y: Math.round(y * CLIPPER_SCALE) }));
+}
+
+function polygonArea(points) {
+    return Math.abs(clipper.Clipper.Area(toClipperPath(points))) / CLIPPER_SCALE ** 2;
+}
+
+function intersectionArea(a, b) {
+    const clip = new clipper.Clipper();
+    clip.AddPath(toClipperPath(a), clipper.PolyType.ptSubject, true);
+    clip.AddPath(toClipperPath(b), clipper.PolyType.ptClip, true);
+    const solution = [];
+    clip.Execute(clipper.ClipType.ctIntersection, solution, clipper.PolyFillType.pftNonZero, clipper.PolyFillType.pftNonZero);
+    return solution.reduce((sum, part) => sum + Math.abs(clipper.Clipper.Area(part)), 0) / CLIPPER_SCALE ** 2;
+}
+
+function intersectionOverUnion(a, b) {
+    const intersection = intersectionArea(a, b);
+    const union = polygonArea(a) + polygonArea(b) - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+// =============================================================================
+// TEXT
+// =============================================================================
+
+function normalizeText(text, ignoreCase) {
+    const normalized = text.normalize('NFC').trim().replace(/\s+/g, ' ');
+    return ignoreCase ? normalized.toLowerCase() : normalized;
+}
+
+const toWords = text => text ? text.split(' ') : [];
+
+/**
+ * Levenshtein alignment of two sequences
+ * @returns {{ distance: number, ops: { op: 'equal'|'delete'|'insert'|'replace', expected?: string, actual?: string }[] }}
+ */
+function align(expected, actual) {
+    const rows = expected.length + 1, cols = actual.length + 1;
+    const cost = Array.from({ length: rows }, (_, i) => Array.from({ length: cols }, (_, j) => i || j));
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1,
+                cost[i - 1][j - 1] + (expected[i - 1] === actual[j - 1] ? 0 : 1));
+        }
+    }
+
+    const ops = [];
+    for (let i = rows - 1, j = cols - 1; i > 0 || j > 0;) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (expected[i - 1] === actual[j - 1] ? 0 : 1)) {
+            ops.push(expected[i - 1] === actual[j - 1]
+                ? { op: 'equal', expected: expected[i - 1] }
+                : { op: 'replace', expected: expected[i - 1], actual: actual[j - 1] });
+            i--, j--;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            ops.push({ op: 'delete', expected: expected[--i] });
+        } else {
+            ops.push({ op: 'insert', actual: actual[--j] });
+        }
+    }
+    return { distance: cost[rows - 1][cols - 1], ops: ops.reverse() };
+}
+
+/**
+ * Inline character diff, `[-removed-]{+added+}` around the differences
+ */
+function diffText(expected, actual) {
+    const { ops } = align(Array.from(expected), Array.from(actual));
+    let out = '', removed = '', added = '';
+    const flush = () => {
+        if (removed) out += `[-${removed}-]`;
+        if (added) out += `{+${added}+}`;
+        removed = added = '';
+    };
+    for (const { op, expected: e = '', actual: a = '' } of ops) {
+        if (op === 'equal') {
+            flush();
+            out += e;
+        } else {
+            removed += e;
+            added += a;
+        }
+    }
+    flush();
+    return out;
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+function emptyCounts() {
+    return { images: 0, groundTruth: 0, detections: 0, matched: 0, characters: 0, characterErrors: 0, words: 0, wordErrors: 0 };
+}
+
+function addCounts(total, counts) {
+    for (const key of Object.keys(total)) total[key] += counts[key] ?? 0;
+    return total;
+}
+
+/**
+ * Rates from summed counts: precision, recall and F1 of the detections, and
+ * character and word error rates of the recognized text
+ */
+function toMetrics(counts) {
+    const precision = counts.detections ? counts.matched / counts.detections : counts.groundTruth ? 0 : 1;
+    const recall = counts.groundTruth ? counts.matched / counts.groundTruth : 1;
+    return {
+        ...counts,
+        precision,
+        recall,
+        f1: precision + recall ? 2 * precision * recall / (precision + recall) : 0,
+        cer: counts.characterErrors / Math.max(counts.characters, 1),
+        wer: counts.wordErrors / Math.max(counts.words, 1)
+    };
+}
+
+const LEVELS = ['line', 'word', 'paragraph'];
+
+/**
+ * The text units of a detect result evaluated against the ground truth:
+ * lines (`data` elements), their words, or paragraphs. Boxes of corrected
+ * (rotated/deskewed) pages are mapped back onto the image the ground truth is for.
+ */
+function predictionsOf(result, level) {
+    const toImage = points => Ocr.mapBoxToOriginal(points, result.correction);
+    if (level === 'paragraph') {
+        return (result.paragraphs ?? []).map(({ text, boundingBox: { left, top, width, height } }) => ({
+            points: toImage([[left, top], [left + width, top], [left + width, top + height], [left, top + height]]),
+            text
+        }));
+    }
+    const elements = result.data ?? [];
+    const units = level === 'word' ? elements.flatMap(element => element.words ?? []) : elements;
+    return units.filter(unit => unit.box?.length >= 3).map(unit => ({ points: toImage(unit.box), text: unit.text }));
+}
+
+/**
+ * Score one detect result against an image's ground truth. Detections are
+ * matched one to one with regions, highest IoU first; detections mostly inside
+ * a don't-care region are left out. Missed regions count all their text as
+ * errors, and so do false detections.
+ * @param {Object} result - `ocr.detect` result
+ * @param {Object[]} regions - Ground truth, as from parseIcdarAnnotations
+ * @param {Object} options
+ * @param {number} options.iouThreshold - Least IoU of a match (default: 0.5)
+ * @param {string} options.level - 'line', 'word' or 'paragraph' (default: 'line'); paragraphs
+ *   need a grouped result
+ * @param {boolean} options.ignoreCase - Compare texts case-insensitively
+ * @returns {Object} Counts and metrics, plus `pairs` of `{ expected, actual, iou }` (null on the missing side)
+ */
+function scoreResult(result, regions, { iouThreshold = 0.5, level = 'line', ignoreCase = false } = {}) {
+    const cared = regions.filter(region => !region.dontCare);
+    const dontCare = regions.filter(region => region.dontCare);
+    const predictions = predictionsOf(result, level).filter(prediction => {
+        const area = polygonArea(prediction.points);
+        return !dontCare.some(region => area > 0 && intersectionArea(prediction.points, region.points) / area > 0.5);
+    });
+
+    const candidates = [];
+    cared.forEach((region, r) => predictions.forEach((prediction, p) => {
+        const iou = intersectionOverUnion(region.points, prediction.points);
+        if (iou >= iouThreshold) candidates.push({ r, p, iou });
+    }));
+    candidates.sort((a, b) => b.iou - a.iou);
+
+    const regionMatch = new Map(), predictionMatched = new Set();
+    for (const { r, p, iou } of candidates) {
+        if (regionMatch.has(r) || predictionMatched.has(p)) continue;
+        regionMatch.set(r, { p, iou });
+        predictionMatched.add(p);
+    }
+
+    const pairs = [
+        ...cared.map((region, r) => {
+            const match = regionMatch.get(r);
+            return { expected: region.text, actual: match ? predictions[match.p].text : null, iou: match?.iou ?? 0 };
+        }),
+        ...predictions
+            .filter((_, p) => !predictionMatched.has(p))
+            .map(prediction => ({ expected: null, actual: prediction.text, iou: 0 }))
+    ];
+
+    const counts = { ...emptyCounts(), images: 1, groundTruth: cared.length, detections: predictions.length, matched: regionMatch.size };
+    for (const pair of pairs) {
+        const expected = normalizeText(pair.expected ?? '', ignoreCase);
+        const actual = normalizeText(pair.actual ?? '', ignoreCase);
+        pair.characterErrors = align(Array.from(expected), Array.from(actual)).distance;
+        pair.wordErrors = align(toWords(expected), toWords(actual)).distance;
+        counts.characters += Array.from(expected).length;
+        counts.words += toWords(expected).length;
+        counts.characterErrors += pair.characterErrors;
+        counts.wordErrors += pair.wordErrors;
+    }
+
+    return { ...toMetrics(counts), pairs };
+}
+
+/**
+ * Sum image scores into metrics, in total and per image language
+ * @param {Object[]} scores - scoreResult results, with the image's `language`
+ * @returns {{ total: Object, languages: Object }}
+ */
+function aggregateScores(scores) {
+    const total = emptyCounts(), languages = {};
+    for (const score of scores) {
+        addCounts(total, score);
+        if (score.language) addCounts(languages[score.language] ??= emptyCounts(), score);
+    }
+    return {
+        total: toMetrics(total),
+        languages: Object.fromEntries(Object.entries(languages).map(([code, counts]) => [code, toMetrics(counts)]))
+    };
+}
+
+/**
+ * Run OCR over a labeled dataset and score it: detection precision, recall and
+ * F1 from IoU-matched polygons, and character and word error rates, in total
+ * and per language
+ * @param {Object} ocr - An Ocr instance or OcrPool
+ * @param {string|Object} dataset - Dataset directory, or the result of loadDataset
+ * @param {Object} options - scoreResult and loadDataset options, plus:
+ * @param {Object} options.detectOptions - Passed to `ocr.detect` (grouped only for the paragraph level)
+ * @param {Function} options.onImage - Called with each image's score as it completes
+ * @returns {Promise<Object>} `{ total, languages, images, failures, iouThreshold, level }`
+ */
+async function evaluate(ocr, dataset, { iouThreshold = 0.5, level = 'line', ignoreCase = false, detectOptions = {}, onImage, ...loadOptions } = {}) {
+    invariant(LEVELS.includes(level), `level must be one of ${LEVELS.join(', ')}, got: ${level}`);
+    invariant(iouThreshold > 0 && iouThreshold <= 1, `iouThreshold must be in (0, 1], got: ${iouThreshold}`);
+    const { images, skipped } = typeof dataset === 'string' ? await loadDataset(dataset, loadOptions) : dataset;
+
+    const scores = [], failures = [...skipped];
+    for (const image of images) {
+        let result;
+        try {
+            result = await ocr.detect(image.file, { grouped: level === 'paragraph', ...detectOptions });
+        } catch (error) {
+            failures.push({ file: image.file, error });
+            continue;
+        }
+
+        const score = { file: image.file, name: image.name, language: image.language, ...scoreResult(result, image.regions, { iouThreshold, level, ignoreCase }) };
+        scores.push(score);
+        await onImage?.(score);
+    }
+
+    return {
+        iouThreshold,
+        level,
+        ...aggregateScores(scores),
+        images: scores,
+        failures
+    };
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Plain-text report of an evaluate result: the totals, a per-language table
+ * and the worst images (highest CER, then lowest F1) with a diff of every
+ * line they got wrong
+ * @param {Object} report - evaluate result
+ * @param {Object} options
+ * @param {number} options.worst - How many of the worst images to list (default: 5)
+ * @returns {string}
+ */
+function formatEvaluationReport(report, { worst = 5 } = {}) {
+    const { total } = report;
+    const lines = [
+        `Images: ${total.images} evaluated, ${report.failures.length} skipped or failed`,
+        `Detection (${report.level}s, IoU >= ${report.iouThreshold}): precision ${percent(total.precision)}, recall ${percent(total.recall)}, F1 ${percent(total.f1)}` +
+            ` (${total.matched} matched of ${total.groundTruth} regions, ${total.detections} detections)`,
+        `Recognition: CER ${percent(total.cer)} (${total.characterErrors}/${total.characters} characters), WER ${percent(total.wer)} (${total.wordErrors}/${total.words} words)`
+    ];
+
+    const languages = Object.entries(report.languages);
+    if (languages.length) {
+        const rows = [['Language', 'Images', 'Precision', 'Recall', 'F1', 'CER', 'WER'],
+            ...languages.map(([code, m]) => [code, String(m.images), ...[m.precision, m.recall, m.f1, m.cer, m.wer].map(percent)])];
+        const widths = rows[0].map((_, c) => Math.max(...rows.map(row => row[c].length)));
+        lines.push('', 'By language:', ...rows.map(row => '  ' + row.map((cell, c) => c ? cell.padStart(widths[c]) : cell.padEnd(widths[c])).join('  ')));
+    }
+
+    const worstImages = [...report.images]
+        .filter(image => image.characterErrors || image.f1 < 1)
+        .sort((a, b) => b.cer - a.cer || a.f1 - b.f1)
+        .slice(0, worst);
+    if (worstImages.length) {
+        lines.push('', `Worst ${worstImages.length} image(s):`);
+        for (const image of worstImages) {
+            lines.push(`  ${image.name}: CER ${percent(image.cer)}, WER ${percent(image.wer)}, F1 ${percent(image.f1)}`);
+            for (const pair of image.pairs.filter(pair => pair.characterErrors || pair.actual === null || pair.expected === null)) {
+                if (pair.actual === null) lines.push(`    missed: ${pair.expected}`);
+                else if (pair.expected === null) lines.push(`    extra:  ${pair.actual}`);
+                else lines.push(`    diff:   ${diffText(pair.expected, pair.actual)}`);
+            }
+        }
+    }
+
+    if (report.failures.length) {
+        lines.push('', 'Skipped or failed:', ...report.failures.map(({ file, error }) => `  ${file}: ${error.message}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { parseIcdarAnnotations, loadDataset, scoreResult, aggregateScores, evaluate, formatEvaluationReport };
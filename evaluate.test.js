@@ -0,0 +1,122 @@
+// evaluate.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parseIcdarAnnotations, loadDataset, scoreResult, aggregateScores } from './evaluate.js';
+
+const rect = (left, top, right, bottom) => [[left, top], [right, top], [right, bottom], [left, bottom]];
+const element = (text, box, words = []) => ({ text, box, words });
+
+describe('parseIcdarAnnotations', () => {
+    it('reads ICDAR 2015, MLT and 2013 lines', () => {
+        const regions = parseIcdarAnnotations([
+            '﻿10,20,110,20,110,40,10,40,Hello, world',
+            '0,0,5,0,5,5,0,5,Latin,MLT text',
+            '1, 2, 30, 40, "quoted"',
+            '0,0,1,0,1,1,0,1,###',
+            ''
+        ].join('\r\n'));
+        assert.deepEqual(regions.map(region => region.text), ['Hello, world', 'MLT text', 'quoted', '###']);
+        assert.deepEqual(regions[2].points, rect(1, 2, 30, 40));
+        assert.deepEqual(regions.map(region => region.dontCare), [false, false, false, true]);
+    });
+
+    it('names the line it cannot read', () => {
+        assert.throws(() => parseIcdarAnnotations('ok\n'), /Line 1: expected/);
+    });
+});
+
+describe('loadDataset', () => {
+    it('pairs images with ground truth and takes the language from the subdirectory', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-dataset-'));
+        try {
+            await fs.mkdir(path.join(dir, 'en'));
+            await fs.writeFile(path.join(dir, 'en', 'a.png'), '');
+            await fs.writeFile(path.join(dir, 'en', 'gt_a.txt'), '0,0,10,0,10,10,0,10,A\n');
+            await fs.writeFile(path.join(dir, 'b.jpg'), '');
+
+            const { images, skipped } = await loadDataset(dir);
+            assert.deepEqual(images.map(image => [image.name, image.language, image.regions.length]), [[path.join('en', 'a.png'), 'en', 1]]);
+            assert.equal(skipped.length, 1);
+            assert.match(skipped[0].error.message, /No ground truth \(gt_b.txt or b.txt/);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('scoreResult', () => {
+    const regions = parseIcdarAnnotations([
+        '0,0,100,0,100,20,0,20,HELLO WORLD',
+        '0,50,100,50,100,70,0,70,SECOND',
+        '200,0,300,0,300,20,200,20,###'
+    ].join('\n'));
+
+    it('counts matches, misses, false detections and text errors', () => {
+        const score = scoreResult({
+            data: [
+                element('HELL0 WORLD', rect(1, 1, 99, 21)),
+                element('NOISE', rect(0, 100, 50, 120)),
+                element('IGNORED', rect(210, 2, 290, 18))
+            ]
+        }, regions);
+        assert.deepEqual([score.groundTruth, score.detections, score.matched], [2, 2, 1]);
+        assert.equal(score.precision, 0.5);
+        assert.equal(score.recall, 0.5);
+        // One substitution, all of SECOND missed and all of NOISE made up
+        assert.equal(score.characterErrors, 1 + 6 + 5);
+        assert.equal(score.characters, 'HELLO WORLD'.length + 'SECOND'.length);
+        assert.deepEqual(score.pairs.map(pair => [pair.expected, pair.actual]),
+            [['HELLO WORLD', 'HELL0 WORLD'], ['SECOND', null], [null, 'NOISE']]);
+    });
+
+    it('ignores case when asked to', () => {
+        const result = { data: [element('hello world', rect(0, 0, 100, 20))] };
+        assert.equal(scoreResult(result, regions.slice(0, 1)).characterErrors, 10);
+        assert.equal(scoreResult(result, regions.slice(0, 1), { ignoreCase: true }).characterErrors, 0);
+    });
+
+    // Corrected coordinates are the original ones transposed: x and y swapped
+    const correction = { rotation: 90, skew: 0, angle: 90, matrix: [[0, 1, 0], [1, 0, 0]] };
+    const transpose = points => points.map(([x, y]) => [y, x]);
+
+    it('maps lines and words of corrected pages back onto the image', () => {
+        const result = {
+            correction,
+            data: [element('HELLO WORLD', transpose(rect(0, 0, 100, 20)),
+                [{ text: 'HELLO', box: transpose(rect(0, 0, 48, 20)) }, { text: 'WORLD', box: transpose(rect(52, 0, 100, 20)) }])]
+        };
+        assert.equal(scoreResult(result, regions.slice(0, 1)).matched, 1);
+        assert.equal(scoreResult({ ...result, correction: undefined }, regions.slice(0, 1)).matched, 0);
+
+        const words = parseIcdarAnnotations('0,0,48,0,48,20,0,20,HELLO\n52,0,100,0,100,20,52,20,WORLD');
+        assert.equal(scoreResult(result, words, { level: 'word' }).matched, 2);
+    });
+
+    it('maps paragraph frames of corrected pages back onto the image', () => {
+        const result = {
+            correction,
+            data: [],
+            paragraphs: [{ text: 'HELLO WORLD SECOND', boundingBox: { left: 0, top: 0, width: 70, height: 100 } }]
+        };
+        const paragraph = parseIcdarAnnotations('0,0,100,0,100,70,0,70,HELLO WORLD SECOND');
+        const score = scoreResult(result, paragraph, { level: 'paragraph' });
+        assert.equal(score.matched, 1);
+        assert.equal(score.characterErrors, 0);
+    });
+});
+
+describe('aggregateScores', () => {
+    it('sums counts in total and per language', () => {
+        const regions = parseIcdarAnnotations('0,0,10,0,10,10,0,10,A');
+        const hit = scoreResult({ data: [element('A', rect(0, 0, 10, 10))] }, regions);
+        const miss = scoreResult({ data: [] }, regions);
+        const { total, languages } = aggregateScores([{ language: 'en', ...hit }, { language: 'ja', ...miss }]);
+        assert.deepEqual([total.images, total.matched, total.recall, total.cer], [2, 1, 0.5, 0.5]);
+        assert.deepEqual(Object.keys(languages), ['en', 'ja']);
+        assert.equal(languages.en.f1, 1);
+        assert.equal(languages.ja.f1, 0);
+    });
+});
@@ -0,0 +1,494 @@
+// exporters.js
+import invariant from 'tiny-invariant';
+import { flattenBlocks } from './layout.js';
+import { baseDirection } from './bidi.js';
+
+// =============================================================================
+// SHARED HELPERS
+// =============================================================================
+
+const SOFTWARE_NAME = 'multilingual-purejs-ocr';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toPages(results) {
+    const pages = Array.isArray(results) ? results : [results];
+    invariant(pages.length > 0, 'Nothing to export: expected an OCR result or a non-empty array of page results');
+    return pages;
+}
+
+function polygonBounds(polygon) {
+    const xs = polygon.map(p => p[0]);
+    const ys = polygon.map(p => p[1]);
+    const left = Math.round(Math.min(...xs));
+    const top = Math.round(Math.min(...ys));
+    return {
+        left,
+        top,
+        width: Math.round(Math.max(...xs)) - left,
+        height: Math.round(Math.max(...ys)) - top
+    };
+}
+
+function frameToPolygon({ left, top, width, height }) {
+    return [[left, top], [left + width, top], [left + width, top + height], [left, top + height]];
+}
+
+function lerp(p0, p1, t) {
+    return [p0[0] + (p1[0] - p0[0]) * t, p0[1] + (p1[1] - p0[1]) * t];
+}
+
+function pageSize(page, options) {
+    if (page.width && page.height) return { width: page.width, height: page.height };
+    if (options.width && options.height) return { width: options.width, height: options.height };
+
+    // Fall back to the extent of the detected text
+    const polygons = page.data.map(el => el.box);
+    if (!polygons.length) return { width: 0, height: 0 };
+    const right = Math.max(...polygons.flat().map(p => p[0]));
+    const bottom = Math.max(...polygons.flat().map(p => p[1]));
+    return { width: Math.ceil(right), height: Math.ceil(bottom) };
+}
+
+/**
+ * Blocks are the result's layout blocks in reading order when it has them,
+ * then its paragraphs when it was grouped, otherwise one block per element.
+ * Every line keeps its polygon.
+ */
+function pageBlocks(page) {
+    const toLine = el => ({ ...el, box: el.box ?? frameToPolygon(el.frame) });
+    if (page.blocks) {
+        return flattenBlocks(page.blocks).map(block => ({
+            text: block.text,
+            confidence: block.confidence,
+            language: block.language,
+            rtl: baseDirection(block.text) === 'rtl',
+            heading: block.type === 'header',
+            box: frameToPolygon(block.boundingBox),
+            lines: block.lines.flatMap(line => line.elements).map(toLine)
+        }));
+    }
+    if (page.paragraphs) {
+        return page.paragraphs.map(paragraph => ({
+            text: paragraph.text,
+            confidence: paragraph.confidence,
+            language: paragraph.language,
+            rtl: Boolean(paragraph.rtl),
+            box: frameToPolygon(paragraph.boundingBox),
+            lines: paragraph.elements.map(toLine)
+        }));
+    }
+    return page.data.map(el => ({
+        text: el.text,
+        confidence: el.confidence,
+        language: el.language,
+        rtl: Boolean(el.rtl),
+        box: el.box,
+        lines: [toLine(el)]
+    }));
+}
+
+/**
+ * Split a line into words. Elements with recognized word geometry use it;
+ * otherwise each word gets the slice of the line polygon proportional to its
+ * character offsets, with the line's confidence.
+ */
+function lineWords(line) {
+    if (line.words?.length) return line.words;
+
+    const [p0, p1, p2, p3] = line.box;
+    const length = line.text.length;
+    const words = [];
+    for (const match of line.text.matchAll(/\S+/g)) {
+        const [t0, t1] = [match.index / length, (match.index + match[0].length) / length];
+        words.push({
+            text: match[0],
+            confidence: line.confidence,
+            box: [lerp(p0, p1, t0), lerp(p0, p1, t1), lerp(p3, p2, t1), lerp(p3, p2, t0)]
+        });
+    }
+    return words;
+}
+
+// =============================================================================
+// hOCR
+// =============================================================================
+
+function hocrBbox(polygon) {
+    const { left, top, width, height } = polygonBounds(polygon);
+    return `bbox ${left} ${top} ${left + width} ${top + height}`;
+}
+
+function hocrPoly(polygon) {
+    return `poly ${polygon.map(p => `${Math.round(p[0])} ${Math.round(p[1])}`).join(' ')}`;
+}
+
+function hocrLang(language) {
+    return language ? ` lang="${escapeXml(language)}"` : '';
+}
+
+function hocrDir(rtl) {
+    return rtl ? ' dir="rtl"' : '';
+}
+
+/**
+ * Serialize OCR results as hOCR 1.2 (XHTML). Paragraphs become
+ * `ocr_carea`/`ocr_par` blocks, elements `ocr_line`s and their words
+ * `ocrx_word`s with `x_wconf` confidences and `poly` coordinates.
+ * @param {Object|Object[]} results - A detect result or an array of detectPages results
+ * @param {Object} options
+ * @param {string} options.imageFilename - Source image name recorded on each page
+ * @param {number} options.width - Page width when the result doesn't carry one
+ * @param {number} options.height - Page height when the result doesn't carry one
+ * @returns {string} hOCR document
+ */
+function toHocr(results, options = {}) {
+    const pages = toPages(results).map((page, pageIndex) => {
+        const pageNo = page.page ?? pageIndex;
+        const { width, height } = pageSize(page, options);
+        const image = options.imageFilename ? `image "${options.imageFilename}"; ` : '';
+
+        const blocks = pageBlocks(page).map((block, b) => {
+            const lines = block.lines.map((line, l) => {
+                const words = lineWords(line).map((word, w) =>
+                    `          <span class="ocrx_word" id="word_${pageNo}_${b}_${l}_${w}"${hocrLang(line.language)} ` +
+                    `title="${hocrBbox(word.box)}; ${hocrPoly(word.box)}; x_wconf ${Math.round(word.confidence * 100)}">` +
+                    `${escapeXml(word.text)}</span>`);
+                return [
+                    `        <span class="ocr_line" id="line_${pageNo}_${b}_${l}"${hocrLang(line.language)}${hocrDir(line.rtl)} ` +
+                    `title="${hocrBbox(line.box)}; ${hocrPoly(line.box)}; x_wconf ${Math.round(line.confidence * 100)}">`,
+                    ...words,
+                    '        </span>'
+                ].join('\n');
+            });
+            return [
+                `    <div class="ocr_carea" id="block_${pageNo}_${b}" title="${hocrBbox(block.box)}">`,
+                `      <p class="ocr_par" id="par_${pageNo}_${b}"${hocrLang(block.language)}${hocrDir(block.rtl)} title="${hocrBbox(block.box)}">`,
+                ...lines,
+                '      </p>',
+                '    </div>'
+            ].join('\n');
+        });
+
+        return [
+            `  <div class="ocr_page" id="page_${pageNo}" title="${escapeXml(`${image}bbox 0 0 ${width} ${height}; ppageno ${pageNo}`)}">`,
+            ...blocks,
+            '  </div>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+        '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+        '<head>',
+        '  <title></title>',
+        '  <meta http-equiv="Content-Type" content="text/html; charset=utf-8" />',
+        `  <meta name="ocr-system" content="${SOFTWARE_NAME}" />`,
+        '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf ocrp_poly ocrp_lang" />',
+        '</head>',
+        '<body>',
+        ...pages,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// =============================================================================
+// ALTO XML
+// =============================================================================
+
+function altoPosition(polygon) {
+    const { left, top, width, height } = polygonBounds(polygon);
+    return `HPOS="${left}" VPOS="${top}" WIDTH="${width}" HEIGHT="${height}"`;
+}
+
+function altoShape(polygon, indent) {
+    const points = polygon.map(p => `${Math.round(p[0])},${Math.round(p[1])}`).join(' ');
+    return `${indent}<Shape><Polygon POINTS="${points}"/></Shape>`;
+}
+
+function altoLang(language) {
+    return language ? ` LANG="${escapeXml(language)}"` : '';
+}
+
+/**
+ * Serialize OCR results as ALTO 4.2 XML with pixel measurements. Paragraphs
+ * become TextBlocks, elements TextLines and their words Strings, each with
+ * its polygon as a Shape and confidence as WC (0-1).
+ * @param {Object|Object[]} results - A detect result or an array of detectPages results
+ * @param {Object} options
+ * @param {string} options.imageFilename - Source image name recorded in the description
+ * @param {number} options.width - Page width when the result doesn't carry one
+ * @param {number} options.height - Page height when the result doesn't carry one
+ * @returns {string} ALTO document
+ */
+function toAlto(results, options = {}) {
+    const pages = toPages(results).map((page, pageIndex) => {
+        const pageNo = page.page ?? pageIndex;
+        const { width, height } = pageSize(page, options);
+
+        const blocks = pageBlocks(page).map((block, b) => {
+            // The schema needs a String in every TextLine, so lines without words are left out
+            const lines = block.lines.filter(line => lineWords(line).length).map((line, l) => {
+                const words = lineWords(line);
+                const strings = words.flatMap((word, w) => {
+                    const string = `            <String ID="string_${pageNo}_${b}_${l}_${w}" ` +
+                        `CONTENT="${escapeXml(word.text)}" ${altoPosition(word.box)} ` +
+                        `WC="${word.confidence.toFixed(4)}"${altoLang(line.language)}>\n` +
+                        `${altoShape(word.box, '              ')}\n` +
+                        '            </String>';
+                    return w < words.length - 1 ? [string, '            <SP/>'] : [string];
+                });
+                return [
+                    `          <TextLine ID="line_${pageNo}_${b}_${l}" ${altoPosition(line.box)}${altoLang(line.language)}>`,
+                    altoShape(line.box, '            '),
+                    ...strings,
+                    '          </TextLine>'
+                ].join('\n');
+            });
+            return [
+                `        <TextBlock ID="block_${pageNo}_${b}" ${altoPosition(block.box)}${altoLang(block.language)}>`,
+                altoShape(block.box, '          '),
+                ...lines,
+                '        </TextBlock>'
+            ].join('\n');
+        });
+
+        return [
+            `    <Page ID="page_${pageNo}" PHYSICAL_IMG_NR="${pageNo + 1}" WIDTH="${width}" HEIGHT="${height}">`,
+            `      <PrintSpace HPOS="0" VPOS="0" WIDTH="${width}" HEIGHT="${height}">`,
+            ...blocks,
+            '      </PrintSpace>',
+            '    </Page>'
+        ].join('\n');
+    });
+
+    const fileName = options.imageFilename
+        ? ['    <sourceImageInformation>', `      <fileName>${escapeXml(options.imageFilename)}</fileName>`, '    </sourceImageInformation>']
+        : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+        '  <Description>',
+        '    <MeasurementUnit>pixel</MeasurementUnit>',
+        ...fileName,
+        '    <OCRProcessing ID="ocr_processing">',
+        '      <ocrProcessingStep>',
+        '        <processingSoftware>',
+        `          <softwareName>${SOFTWARE_NAME}</softwareName>`,
+        '        </processingSoftware>',
+        '      </ocrProcessingStep>',
+        '    </OCRProcessing>',
+        '  </Description>',
+        '  <Layout>',
+        ...pages,
+        '  </Layout>',
+        '</alto>',
+        ''
+    ].join('\n');
+}
+
+// =============================================================================
+// PAGE XML
+// =============================================================================
+
+function pageCoords(polygon, indent) {
+    const points = polygon.map(p => `${Math.max(0, Math.round(p[0]))},${Math.max(0, Math.round(p[1]))}`).join(' ');
+    return `${indent}<Coords points="${points}"/>`;
+}
+
+function pageReadingDirection(rtl) {
+    return rtl ? ' readingDirection="right-to-left"' : '';
+}
+
+function pageTextEquiv(text, confidence, indent) {
+    const conf = confidence === undefined ? '' : ` conf="${Math.min(1, Math.max(0, confidence)).toFixed(4)}"`;
+    return `${indent}<TextEquiv${conf}><Unicode>${escapeXml(text)}</Unicode></TextEquiv>`;
+}
+
+/**
+ * Serialize a single page as PAGE XML (2019-07-15 schema). Paragraphs become
+ * TextRegions in reading order, elements TextLines and their words Words,
+ * each with Coords polygons and TextEquiv confidences.
+ * @param {Object} result - A detect result, or one detectPages page result
+ * @param {Object} options
+ * @param {string} options.imageFilename - Source image name (required by the schema; default: "image")
+ * @param {number} options.width - Page width when the result doesn't carry one
+ * @param {number} options.height - Page height when the result doesn't carry one
+ * @param {Date} options.created - Creation timestamp (default: now)
+ * @returns {string} PAGE XML document
+ */
+function toPageXml(result, options = {}) {
+    invariant(!Array.isArray(result), 'PAGE XML describes a single page: export each page result separately');
+    const { width, height } = pageSize(result, options);
+    const timestamp = (options.created ?? new Date()).toISOString().replace(/\.\d{3}Z$/, '');
+    const blocks = pageBlocks(result);
+
+    const regions = blocks.map((block, b) => {
+        const lines = block.lines.map((line, l) => {
+            const words = lineWords(line).map((word, w) => [
+                `        <Word id="r${b}_l${l}_w${w}">`,
+                pageCoords(word.box, '          '),
+                pageTextEquiv(word.text, word.confidence, '          '),
+                '        </Word>'
+            ].join('\n'));
+            return [
+                `      <TextLine id="r${b}_l${l}"${pageReadingDirection(line.rtl)}>`,
+                pageCoords(line.box, '        '),
+                ...words,
+                pageTextEquiv(line.text, line.confidence, '        '),
+                '      </TextLine>'
+            ].join('\n');
+        });
+        return [
+            `    <TextRegion id="r${b}" type="${block.heading ? 'heading' : 'paragraph'}"${pageReadingDirection(block.rtl)}>`,
+            pageCoords(block.box, '      '),
+            ...lines,
+            pageTextEquiv(block.text, block.confidence, '      '),
+            '    </TextRegion>'
+        ].join('\n');
+    });
+
+    const readingOrder = blocks.length ? [
+        '    <ReadingOrder>',
+        '      <OrderedGroup id="reading_order">',
+        ...blocks.map((_, b) => `        <RegionRefIndexed index="${b}" regionRef="r${b}"/>`),
+        '      </OrderedGroup>',
+        '    </ReadingOrder>'
+    ] : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<PcGts xmlns="http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:schemaLocation="http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15 ' +
+        'http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15/pagecontent.xsd">',
+        '  <Metadata>',
+        `    <Creator>${SOFTWARE_NAME}</Creator>`,
+        `    <Created>${timestamp}</Created>`,
+        `    <LastChange>${timestamp}</LastChange>`,
+        '  </Metadata>',
+        `  <Page imageFilename="${escapeXml(options.imageFilename ?? 'image')}" imageWidth="${width}" imageHeight="${height}">`,
+        ...readingOrder,
+        ...regions,
+        '  </Page>',
+        '</PcGts>',
+        ''
+    ].join('\n');
+}
+
+// =============================================================================
+// PLAIN TEXT AND TSV
+// =============================================================================
+
+/**
+ * Serialize OCR results as plain text: one line per element, a blank line
+ * between blocks and a form feed between pages.
+ * @param {Object|Object[]} results - A detect result or an array of detectPages results
+ * @returns {string} Text
+ */
+function toText(results) {
+    return toPages(results)
+        .map(page => pageBlocks(page).map(block => block.lines.map(line => line.text).join('\n')).join('\n\n'))
+        .join('\n\f') + '\n';
+}
+
+const TSV_COLUMNS = ['level', 'page_num', 'block_num', 'par_num', 'line_num', 'word_num',
+    'left', 'top', 'width', 'height', 'conf', 'text'];
+
+/**
+ * Serialize OCR results in Tesseract's TSV layout: one row per page, block,
+ * paragraph, line and word (levels 1-5), with 1-based numbering. Only words
+ * carry a confidence (0-100); the other levels report -1.
+ * @param {Object|Object[]} results - A detect result or an array of detectPages results
+ * @param {Object} options
+ * @param {number} options.width - Page width when the result doesn't carry one
+ * @param {number} options.height - Page height when the result doesn't carry one
+ * @returns {string} Tab-separated values with a header row
+ */
+function toTsv(results, options = {}) {
+    const rows = [TSV_COLUMNS.join('\t')];
+    const row = (level, ids, polygon, confidence = -1, text = '') => {
+        const { left, top, width, height } = polygonBounds(polygon);
+        const conf = confidence === -1 ? -1 : (confidence * 100).toFixed(2);
+        rows.push([level, ...ids, left, top, width, height, conf, text.replace(/\s+/g, ' ')].join('\t'));
+    };
+
+    toPages(results).forEach((page, pageIndex) => {
+        const pageNum = (page.page ?? pageIndex) + 1;
+        const { width, height } = pageSize(page, options);
+        row(1, [pageNum, 0, 0, 0, 0], frameToPolygon({ left: 0, top: 0, width, height }));
+
+        pageBlocks(page).forEach((block, b) => {
+            row(2, [pageNum, b + 1, 0, 0, 0], block.box);
+            row(3, [pageNum, b + 1, 1, 0, 0], block.box);
+            block.lines.forEach((line, l) => {
+                row(4, [pageNum, b + 1, 1, l + 1, 0], line.box);
+                lineWords(line).forEach((word, w) => {
+                    row(5, [pageNum, b + 1, 1, l + 1, w + 1], word.box, word.confidence, word.text);
+                });
+            });
+        });
+    });
+
+    return rows.join('\n') + '\n';
+}
+
+// =============================================================================
+// TABLES
+// =============================================================================
+
+function csvField(value, delimiter) {
+    const text = String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a table as CSV (RFC 4180 quoting). A spanning cell's text goes in
+ * its top-left position; the positions it covers are left empty.
+ * @param {Object} table - One of a detect result's `tables`
+ * @param {Object} options
+ * @param {string} options.delimiter - Field separator (default: ",")
+ * @returns {string} One record per table row
+ */
+function tableToCsv(table, { delimiter = ',' } = {}) {
+    invariant(Array.isArray(table?.cells), 'Expected a table from a detect result\'s tables');
+    return table.cells
+        .map(row => row.map(cell => csvField(cell?.text ?? '', delimiter)).join(delimiter))
+        .join('\n') + '\n';
+}
+
+/**
+ * Serialize a table as an HTML `<table>`, with rowspan/colspan on spanning cells
+ * @param {Object} table - One of a detect result's `tables`
+ * @returns {string} HTML fragment
+ */
+function tableToHtml(table) {
+    invariant(Array.isArray(table?.cells), 'Expected a table from a detect result\'s tables');
+    const rows = table.cells.map(row => {
+        const cells = row.filter(Boolean).map(cell => {
+            const rowSpan = cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : '';
+            const colSpan = cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : '';
+            return `    <td${rowSpan}${colSpan}>${escapeXml(cell.text)}</td>`;
+        });
+        return ['  <tr>', ...cells, '  </tr>'].join('\n');
+    });
+    return ['<table>', ...rows, '</table>', ''].join('\n');
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { toHocr, toAlto, toPageXml, toText, toTsv, tableToCsv, tableToHtml, escapeXml };
@@ -0,0 +1,165 @@
+// exporters.test.js
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import Ocr from './index.js';
+import { toHocr, toAlto, toPageXml } from './exporters.js';
+
+// Every element is an array, so documents are walked the same way whatever their size
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    isArray: (name, jpath, isLeaf, isAttribute) => !isAttribute,
+    parseTagValue: false,
+    parseAttributeValue: false
+});
+
+function parse(xml) {
+    assert.equal(XMLValidator.validate(xml), true, 'expected well-formed XML');
+    return parser.parse(xml);
+}
+
+/**
+ * Every `name` element below `node`, in document order
+ */
+function findAll(node, name, found = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => findAll(child, name, found));
+    } else if (node && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === name) found.push(...value);
+            findAll(value, name, found);
+        }
+    }
+    return found;
+}
+
+const textOf = node => typeof node === 'string' ? node : [node['#text'] ?? ''].flat().join('');
+const byClass = (doc, cls) => findAll(doc, 'span').concat(findAll(doc, 'p'), findAll(doc, 'div'))
+    .filter(node => node.class === cls);
+
+function bounds(polygon) {
+    const xs = polygon.map(p => p[0]), ys = polygon.map(p => p[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+const tricky = {
+    data: [{
+        text: 'Tom & "Jerry" <3 \'cheese\'',
+        confidence: 0.875,
+        language: 'en',
+        box: [[10, 20], [210, 20], [210, 40], [10, 40]]
+    }]
+};
+
+describe('exporters on a detect result', () => {
+    let result;
+    before(async () => {
+        const ocr = await Ocr.create({ language: 'en', detectionThreshold: 0.1 });
+        result = await ocr.detect('./bs.jpeg');
+        assert.ok(result.data.length > 10, 'expected text on bs.jpeg');
+    });
+
+    it('writes every paragraph, line and word to hOCR with its bbox', () => {
+        const doc = parse(toHocr(result, { width: 736, height: 1081 }));
+        assert.equal(byClass(doc, 'ocr_page').length, 1);
+        assert.match(byClass(doc, 'ocr_page')[0].title, /bbox 0 0 736 1081; ppageno 0/);
+        assert.equal(byClass(doc, 'ocr_par').length, result.paragraphs.length);
+
+        const lines = byClass(doc, 'ocr_line');
+        const elements = result.paragraphs.flatMap(paragraph => paragraph.elements);
+        assert.equal(lines.length, elements.length);
+        lines.forEach((line, i) => {
+            assert.ok(line.title.startsWith(`bbox ${bounds(elements[i].box).join(' ')};`), line.title);
+            const words = findAll(line, 'span').filter(span => span.class === 'ocrx_word');
+            assert.equal(words.map(textOf).join(' '), elements[i].text);
+            for (const word of words) assert.match(word.title, /^bbox \d+ \d+ \d+ \d+; poly( \d+){8}; x_wconf \d+$/);
+        });
+    });
+
+    it('writes ALTO blocks, lines and strings with pixel positions', () => {
+        const doc = parse(toAlto(result, { width: 736, height: 1081 }));
+        const [page] = findAll(doc, 'Page');
+        assert.deepEqual([page.ID, page.PHYSICAL_IMG_NR, page.WIDTH, page.HEIGHT], ['page_0', '1', '736', '1081']);
+        assert.equal(findAll(doc, 'MeasurementUnit').map(textOf)[0], 'pixel');
+        assert.equal(findAll(doc, 'TextBlock').length, result.paragraphs.length);
+
+        const lines = findAll(doc, 'TextLine');
+        const elements = result.paragraphs.flatMap(paragraph => paragraph.elements);
+        assert.equal(lines.length, elements.length);
+        lines.forEach((line, i) => {
+            const [left, top, right, bottom] = bounds(elements[i].box);
+            assert.deepEqual([line.HPOS, line.VPOS, line.WIDTH, line.HEIGHT].map(Number), [left, top, right - left, bottom - top]);
+            const strings = line.String;
+            assert.ok(strings.length > 0, 'ALTO lines need at least one String');
+            assert.equal(strings.map(string => string.CONTENT).join(' '), elements[i].text);
+            assert.equal(line.SP?.length ?? 0, strings.length - 1);
+            for (const string of strings) {
+                assert.ok(string.ID && string.HPOS && string.VPOS && string.WIDTH && string.HEIGHT);
+                const wc = Number(string.WC);
+                assert.ok(wc >= 0 && wc <= 1, `WC out of range: ${string.WC}`);
+            }
+        });
+    });
+
+    it('writes PAGE XML regions in reading order with their coordinates and text', () => {
+        const doc = parse(toPageXml(result, { imageFilename: 'bs.jpeg', width: 736, height: 1081, created: new Date(0) }));
+        const [metadata] = findAll(doc, 'Metadata');
+        assert.deepEqual(Object.keys(metadata), ['Creator', 'Created', 'LastChange']);
+        assert.equal(textOf(metadata.Created[0]), '1970-01-01T00:00:00');
+
+        const [page] = findAll(doc, 'Page');
+        assert.deepEqual([page.imageFilename, page.imageWidth, page.imageHeight], ['bs.jpeg', '736', '1081']);
+        // The schema wants the reading order ahead of the regions
+        assert.deepEqual(Object.keys(page).filter(key => !key.startsWith('image')), ['ReadingOrder', 'TextRegion']);
+
+        const regions = page.TextRegion;
+        assert.equal(regions.length, result.paragraphs.length);
+        const refs = findAll(doc, 'RegionRefIndexed');
+        assert.deepEqual(refs.map(ref => ref.regionRef), regions.map(region => region.id));
+        assert.deepEqual(refs.map(ref => Number(ref.index)), regions.map((_, i) => i));
+
+        const lines = findAll(doc, 'TextLine');
+        const elements = result.paragraphs.flatMap(paragraph => paragraph.elements);
+        assert.equal(lines.length, elements.length);
+        lines.forEach((line, i) => {
+            assert.equal(line.Coords[0].points, elements[i].box.map(([x, y]) => `${x},${y}`).join(' '));
+            assert.match(line.Coords[0].points, /^(\d+,\d+ )+\d+,\d+$/);
+            assert.deepEqual(Object.keys(line).filter(key => key !== 'id'), ['Coords', 'Word', 'TextEquiv']);
+            assert.equal(textOf(line.TextEquiv[0].Unicode[0]), elements[i].text);
+            assert.equal(Number(line.TextEquiv[0].conf), Number(elements[i].confidence.toFixed(4)));
+            assert.equal(line.Word.map(word => textOf(word.TextEquiv[0].Unicode[0])).join(' '), elements[i].text);
+        });
+    });
+});
+
+describe('exporter escaping', () => {
+    it('round-trips markup characters in hOCR', () => {
+        const doc = parse(toHocr(tricky, { imageFilename: 'a&b "scan".png' }));
+        const [line] = byClass(doc, 'ocr_line');
+        const words = findAll(line, 'span').map(textOf);
+        assert.equal(words.join(' '), tricky.data[0].text);
+        assert.match(byClass(doc, 'ocr_page')[0].title, /^image "a&b "scan".png"; bbox 0 0 210 40/);
+    });
+
+    it('round-trips markup characters in ALTO', () => {
+        const doc = parse(toAlto(tricky, { imageFilename: 'a&b.png' }));
+        assert.equal(findAll(doc, 'String').map(string => string.CONTENT).join(' '), tricky.data[0].text);
+        assert.equal(textOf(findAll(doc, 'fileName')[0]), 'a&b.png');
+    });
+
+    it('leaves lines without words out of ALTO', () => {
+        const blank = { data: [{ ...tricky.data[0], text: ' ' }, tricky.data[0]] };
+        const doc = parse(toAlto(blank));
+        assert.equal(findAll(doc, 'TextBlock').length, 2);
+        assert.equal(findAll(doc, 'TextLine').length, 1);
+    });
+
+    it('round-trips markup characters in PAGE XML', () => {
+        const doc = parse(toPageXml(tricky, { imageFilename: '<scan>&.png' }));
+        assert.equal(findAll(doc, 'Page')[0].imageFilename, '<scan>&.png');
+        const [line] = findAll(doc, 'TextLine');
+        assert.equal(textOf(line.TextEquiv[0].Unicode[0]), tricky.data[0].text);
+        assert.equal(Number(line.TextEquiv[0].conf), 0.875);
+    });
+});
@@ -1,10 +1,26 @@
 // index.js
 import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
 import invariant from 'tiny-invariant';
 import { InferenceSession, Tensor } from 'onnxruntime-node';
 import sharp from 'sharp';
 import cv from '@techstark/opencv-js';
 import clipper from 'js-clipper';
+import {
+    PDFDocument, PDFHexString, PDFName, PDFString, TextRenderingMode, beginText, endText,
+    setCharacterSqueeze, setFontAndSize, setTextMatrix, setTextRenderingMode, showText
+} from 'pdf-lib';
+import { toHocr, toAlto, toPageXml, toText, toTsv, tableToCsv, tableToHtml } from './exporters.js';
+import { analyzeLayout } from './layout.js';
+import { baseDirection, reorderVisual, logicalText } from './bidi.js';
+import { findTables } from './tables.js';
+import { OcrPool } from './pool.js';
+import { renderDebug, writeDebug } from './debug.js';
+import { MissingModelsError, resolveModels } from './models.js';
+import { LANGUAGES, registerLanguage, loadLanguagePack } from './languages.js';
+import { parseIcdarAnnotations, loadDataset, scoreResult, aggregateScores, evaluate, formatEvaluationReport } from './evaluate.js';
 
 // =============================================================================
 // DEFAULT CONFIGURATION
@@ -12,13 +28,21 @@ import clipper from 'js-clipper';
 
 const DEFAULT_CONFIG = {
     DETECTION: {
-        MODEL_PATH: './models/ch_PP-OCRv4_det_infer.onnx',
+        MODEL_PATH: 'ch_PP-OCRv4_det_infer.onnx',
         THRESHOLD: 0.1,
         MIN_BOX_SIZE: 3,
         MAX_BOX_SIZE: 2000,
         UNCLIP_RATIO: 1.5,
         BASE_SIZE: 32,
         MAX_IMAGE_SIZE: 960,
+        AUTO_ROTATE: false,
+        DESKEW: false,
+        MIN_SKEW_ANGLE: 0.5,
+        MAX_SKEW_ANGLE: 15,
+        ORIENTATION_MIN_ASPECT: 2,
+        TILING: false,
+        TILE_SIZE: 960,
+        TILE_OVERLAP: 128,
         ONNX_OPTIONS: {
             executionProviders: ['cpu'],
             graphOptimizationLevel: 'all',
@@ -31,38 +55,39 @@ const DEFAULT_CONFIG = {
         }
     },
     RECOGNITION: {
-        LANGUAGES: {
-            en: { 
-                MODEL: './models/en_PP-OCRv4_rec_infer.onnx',
-                DICT: './models/en_dict.txt',
-                NAME: 'English'
-            },
-            ch: { 
-                MODEL: './models/ch_PP-OCRv4_rec_infer.onnx',
-                DICT: './models/ch_dict.txt', 
-                NAME: 'Chinese'
-            },
-            ja: { 
-                MODEL: './models/japan_PP-OCRv3_rec_infer.onnx',
-                DICT: './models/japan_dict.txt',
-                NAME: 'Japanese'
-            },
-            ko: { 
-                MODEL: './models/ch_PP-OCRv4_rec_infer.onnx',
-                DICT: './models/korean_dict.txt',
-                NAME: 'Korean'
-            },
-            latin: { 
-                MODEL: './models/latin_PP-OCRv3_rec_infer.onnx',
-                DICT: './models/latin_dict.txt',
-                NAME: 'Latin'
-            }
-        },
+        LANGUAGES,
         DEFAULT_LANGUAGE: 'en',
         IMAGE_HEIGHT: 48,
         CONFIDENCE_THRESHOLD: 0.5,
         REMOVE_DUPLICATE_CHARS: true,
+        BATCH_SIZE: 6,
+        // Widest padding (pixels at IMAGE_HEIGHT) a line gets to share a batch; padding changes the reading
+        BATCH_MAX_PADDING: 4,
         IGNORED_TOKENS: [0],
+        DECODER: 'greedy',
+        BEAM_WIDTH: 10,
+        ALTERNATIVES: 3,
+        LEXICON_WEIGHT: 1,
+        LANGUAGE_MODEL_WEIGHT: 0.3,
+        LANGUAGE_MODEL_ORDER: 3,
+        ONNX_OPTIONS: {
+            executionProviders: ['cpu'],
+            graphOptimizationLevel: 'all',
+            enableCpuMemArena: true,
+            enableMemPattern: true,
+            executionMode: 'sequential',
+            logSeverityLevel: 2,
+            intraOpNumThreads: 0,
+            interOpNumThreads: 0,
+        }
+    },
+    CLASSIFICATION: {
+        MODEL_PATH: 'ch_ppocr_mobile_v2.0_cls_infer.onnx',
+        THRESHOLD: 0.9,
+        IMAGE_HEIGHT: 48,
+        IMAGE_WIDTH: 192,
+        BATCH_SIZE: 6,
+        LABELS: [0, 180],
         ONNX_OPTIONS: {
             executionProviders: ['cpu'],
             graphOptimizationLevel: 'all',
@@ -74,11 +99,37 @@ const DEFAULT_CONFIG = {
             interOpNumThreads: 0,
         }
     },
+    PAGES: {
+        PDF_DPI: 200,
+    },
     GROUPING: {
         VERTICAL_THRESHOLD_RATIO: 1.2,
         HORIZONTAL_THRESHOLD_RATIO: 2.5,
         MIN_OVERLAP_RATIO: 0.3,
         MAX_VERTICAL_OFFSET_RATIO: 0.5,
+    },
+    LAYOUT: {
+        COLUMN_GAP_RATIO: 1.5,
+        PARAGRAPH_GAP_RATIO: 0.8,
+        HEADER_HEIGHT_RATIO: 1.4,
+        HEADER_MAX_LINES: 3
+    },
+    TABLES: {
+        MIN_ROWS: 2,
+        MIN_COLUMNS: 2,
+        ROW_GAP_RATIO: 1.5,
+        COLUMN_GAP_RATIO: 1,
+        SPANNING_ROWS_RATIO: 0.25,
+        RULING_MIN_LENGTH_RATIO: 0.02,
+        RULING_TOLERANCE: 4
+    },
+    // Model and dictionary names from MODEL_REGISTRY (models.js) resolve here
+    MODELS: {
+        CACHE_DIR: path.join(os.homedir(), '.cache', 'multilingual-purejs-ocr'),
+        MIRROR: null,
+        DOWNLOAD: true,
+        VERIFY: true,
+        TIMEOUT: 300000
     }
 };
 
@@ -143,7 +194,7 @@ function shouldGroup(box1, box2, avgHeight, config) {
     }
 }
 
-function groupTextElements(elements, config = DEFAULT_CONFIG.GROUPING) {
+function groupLines(elements, config) {
     if (elements.length === 0) return [];
     
     const avgHeight = elements.reduce((sum, el) => sum + el.frame.height, 0) / elements.length;
@@ -202,6 +253,49 @@ function groupTextElements(elements, config = DEFAULT_CONFIG.GROUPING) {
     return groups;
 }
 
+/**
+ * Right-to-left lines chain leftwards, so they're grouped mirrored: their
+ * rightmost element comes first. Lines with no letters (e.g. only numbers)
+ * go with whichever direction most of the page reads in.
+ */
+function groupHorizontal(elements, config) {
+    const directions = elements.map(el => el.rtl ? 'rtl' : baseDirection(el.text));
+    const rtlCount = directions.filter(d => d === 'rtl').length;
+    if (!rtlCount) return groupLines(elements, config);
+
+    const pageRtl = rtlCount > directions.filter(d => d === 'ltr').length;
+    const isRtl = i => directions[i] === 'rtl' || (directions[i] === null && pageRtl);
+    const mirrored = elements.filter((_, i) => isRtl(i)).map(element => ({
+        element,
+        frame: { ...element.frame, left: -(element.frame.left + element.frame.width) }
+    }));
+    return [
+        ...groupLines(elements.filter((_, i) => !isRtl(i)), config),
+        ...groupLines(mirrored, config).map(group => group.map(({ element }) => element))
+    ];
+}
+
+function groupTextElements(elements, config = DEFAULT_CONFIG.GROUPING) {
+    const vertical = elements.filter(el => el.direction === 'vertical');
+    if (!vertical.length) return groupHorizontal(elements, config);
+
+    // Turned a quarter anticlockwise, vertical columns group like horizontal lines:
+    // top to bottom becomes left to right, and the rightmost column comes first
+    const turned = vertical.map(element => ({
+        element,
+        frame: {
+            left: element.frame.top,
+            top: -(element.frame.left + element.frame.width),
+            width: element.frame.height,
+            height: element.frame.width
+        }
+    }));
+    return [
+        ...groupHorizontal(elements.filter(el => el.direction !== 'vertical'), config),
+        ...groupLines(turned, config).map(group => group.map(({ element }) => element))
+    ];
+}
+
 function createParagraph(group) {
     const texts = group.map(el => el.text);
     const avgConfidence = group.reduce((sum, el) => sum + el.confidence, 0) / group.length;
@@ -216,14 +310,33 @@ function createParagraph(group) {
         height: Math.max(...allY) - Math.min(...allY)
     };
     
+    // The paragraph's language is the one covering most of its characters
+    const languageWeights = {};
+    for (const el of group) {
+        if (el.language) languageWeights[el.language] = (languageWeights[el.language] || 0) + el.text.length;
+    }
+    const language = Object.keys(languageWeights).sort((a, b) => languageWeights[b] - languageWeights[a])[0];
+    
     return {
         text: texts.join(' '),
         confidence: avgConfidence,
         boundingBox,
+        ...(language && { language }),
+        ...(group[0].direction && { direction: group[0].direction }),
+        ...(baseDirection(texts.join(' ')) === 'rtl' && { rtl: true }),
         elements: group.map(el => ({
             text: el.text,
             confidence: el.confidence,
-            frame: el.frame
+            frame: el.frame,
+            box: el.box,
+            ...(el.language && { language: el.language }),
+            ...(el.direction && { direction: el.direction }),
+            ...(el.rtl && { rtl: true }),
+            ...(el.region !== undefined && { region: el.region }),
+            ...(el.alternatives && { alternatives: el.alternatives }),
+            ...(el.unconstrained && { unconstrained: el.unconstrained }),
+            ...(el.matched !== undefined && { matched: el.matched }),
+            ...(el.words && { words: el.words, chars: el.chars })
         }))
     };
 }
@@ -236,6 +349,16 @@ class FileUtils {
     static async read(filePath) {
         return await fs.readFile(filePath, 'utf8');
     }
+
+    static async readStream(stream) {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+        return Buffer.concat(chunks);
+    }
+
+    static isStream(input) {
+        return input instanceof Readable || typeof input?.pipe === 'function';
+    }
 }
 
 class ImageRaw {
@@ -254,6 +377,56 @@ class ImageRaw {
         });
     }
 
+    /**
+     * Load an image from any supported input: a file path, an encoded image
+     * Buffer, a Readable stream, a raw pixel object `{ data, width, height, channels }`
+     * or an existing ImageRaw (which is copied, since resizing mutates in place).
+     */
+    static async from(input) {
+        if (input instanceof ImageRaw) {
+            return new ImageRaw({
+                data: Buffer.from(input.data),
+                width: input.width,
+                height: input.height
+            });
+        }
+
+        if (typeof input === 'string' || input instanceof Uint8Array) {
+            return await ImageRaw.open(input);
+        }
+
+        if (FileUtils.isStream(input)) {
+            return await ImageRaw.open(await FileUtils.readStream(input));
+        }
+
+        if (input?.data && input.width > 0 && input.height > 0) {
+            return await ImageRaw.fromPixels(input);
+        }
+
+        invariant(false, 'Unsupported image input: expected a file path, Buffer, Readable stream, raw pixel object or ImageRaw');
+    }
+
+    static async fromPixels({ data, width, height, channels = 4 }) {
+        invariant(Array.isArray(data) || data instanceof Uint8Array || data instanceof Uint8ClampedArray,
+            'Raw pixel data must be an array of bytes, a Buffer, a Uint8Array or a Uint8ClampedArray');
+        invariant([1, 2, 3, 4].includes(channels), `Unsupported channel count: ${channels}`);
+        invariant(data.length === width * height * channels,
+            `Raw pixel data length ${data.length} does not match ${width}x${height}x${channels}`);
+
+        const pixels = Array.isArray(data) ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        if (channels === 4) {
+            return new ImageRaw({ data: Buffer.from(pixels), width, height });
+        }
+
+        const result = await sharp(pixels, { raw: { width, height, channels } })
+            .toColourspace('srgb').ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        return new ImageRaw({
+            data: result.data,
+            width: result.info.width,
+            height: result.info.height
+        });
+    }
+
     constructor(imageRawData) {
         this.data = imageRawData.data;
         this.width = imageRawData.width;
@@ -267,12 +440,21 @@ class ImageRaw {
         const resized = await this.#sharp.resize({
             width: size.width,
             height: size.height,
-            fit: 'contain'
+            fit: size.fit ?? 'contain'
         }).raw().toBuffer({ resolveWithObject: true });
         
-        this.data = resized.data;
-        this.width = resized.info.width;
-        this.height = resized.info.height;
+        return this.#replace(resized);
+    }
+
+    async rotate(angle) {
+        const rotated = await this.#sharp.rotate(angle).raw().toBuffer({ resolveWithObject: true });
+        return this.#replace(rotated);
+    }
+
+    #replace(result) {
+        this.data = result.data;
+        this.width = result.info.width;
+        this.height = result.info.height;
         this.#sharp = sharp(this.data, {
             raw: { width: this.width, height: this.height, channels: 4 }
         });
@@ -289,9 +471,13 @@ class ModelBase {
         this.options = options;
     }
 
+    get model() {
+        return this.#model;
+    }
+
     async runModel({ modelData, onnxOptions = {} }) {
         const input = new Tensor('float32', Float32Array.from(modelData.data), 
-            [1, 3, modelData.height, modelData.width]);
+            [modelData.batch ?? 1, 3, modelData.height, modelData.width]);
         const outputs = await this.#model.run({
             [this.#model.inputNames[0]]: input
         }, onnxOptions);
@@ -311,6 +497,31 @@ class ModelBase {
             height: image.height
         };
     }
+
+    stackBatch(modelDatas, { width = Math.max(...modelDatas.map(md => md.width)), replicate = true } = {}) {
+        const height = modelDatas[0].height;
+        const plane = height * width;
+        const data = new Float32Array(modelDatas.length * 3 * plane);
+        
+        modelDatas.forEach((md, b) => {
+            const srcPlane = md.height * md.width;
+            for (let c = 0; c < 3; c++) {
+                const srcOffset = c * srcPlane;
+                const dstOffset = (b * 3 + c) * plane;
+                for (let y = 0; y < height; y++) {
+                    const srcRow = srcOffset + y * md.width;
+                    const dstRow = dstOffset + y * width;
+                    // Narrower inputs are padded by replicating their last column, or with zeros
+                    const rowEnd = replicate ? width : Math.min(width, md.width);
+                    for (let x = 0; x < rowEnd; x++) {
+                        data[dstRow + x] = md.data[srcRow + Math.min(x, md.width - 1)];
+                    }
+                }
+            }
+        });
+        
+        return { data, batch: modelDatas.length, width, height };
+    }
 }
 
 // =============================================================================
@@ -323,6 +534,45 @@ function cvImread(image) {
     return mat;
 }
 
+/**
+ * Find ruling lines: dark strokes that survive a morphological opening with a
+ * `minLength`-long horizontal or vertical kernel, which text doesn't
+ * @returns {{ horizontal: Object[], vertical: Object[] }} Line frames in image pixels
+ */
+function findRulingLines(image, minLength) {
+    const src = cvImread(image);
+    cv.cvtColor(src, src, cv.COLOR_RGBA2GRAY, 0);
+    const binary = new cv.Mat();
+    cv.adaptiveThreshold(src, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY_INV, 15, 10);
+
+    const find = (kernelSize, isLine) => {
+        const kernel = cv.getStructuringElement(cv.MORPH_RECT, kernelSize);
+        const opened = new cv.Mat();
+        cv.morphologyEx(binary, opened, cv.MORPH_OPEN, kernel);
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        cv.findContours(opened, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+        const frames = [];
+        for (let i = 0; i < contours.size(); i++) {
+            const { x, y, width, height } = cv.boundingRect(contours.get(i));
+            if (isLine(width, height)) frames.push({ left: x, top: y, width, height });
+        }
+        kernel.delete();
+        opened.delete();
+        contours.delete();
+        hierarchy.delete();
+        return frames;
+    };
+
+    // Filled areas also survive the opening; lines are much longer than thick
+    const horizontal = find(new cv.Size(minLength, 1), (width, height) => height * 4 <= width);
+    const vertical = find(new cv.Size(1, minLength), (width, height) => width * 4 <= height);
+    src.delete();
+    binary.delete();
+    return { horizontal, vertical };
+}
+
 function cvImshow(mat) {
     return new ImageRaw({ 
         data: Buffer.from(mat.data),
@@ -408,7 +658,15 @@ function linalgNorm(p0, p1) {
     return Math.sqrt(Math.pow(p0[0] - p1[0], 2) + Math.pow(p0[1] - p1[1], 2));
 }
 
+/**
+ * Warp the quadrilateral `points` of an image into an upright line crop
+ * @returns {{ image: ImageRaw, transform: number[][], column?: Object }} The crop and the 3x3
+ *   homography mapping crop pixels back to source image pixels. Tall crops are turned
+ *   a quarter to lie flat; `column` then keeps the unturned crop and its homography.
+ */
 function getRotateCropImage(imageRaw, points) {
+    // Accept a prepared Mat so callers cropping many lines convert the source only once
+    const src = imageRaw instanceof cv.Mat ? imageRaw : cvImread(imageRaw);
     const img_crop_width = Math.floor(Math.max(linalgNorm(points[0], points[1]), linalgNorm(points[2], points[3])));
     const img_crop_height = Math.floor(Math.max(linalgNorm(points[0], points[3]), linalgNorm(points[1], points[2])));
     
@@ -417,26 +675,46 @@ function getRotateCropImage(imageRaw, points) {
     const srcTri = cv.matFromArray(4, 1, cv.CV_32FC2, points.flat());
     const dstTri = cv.matFromArray(4, 1, cv.CV_32FC2, pts_std.flat());
     const M = cv.getPerspectiveTransform(srcTri, dstTri);
+    const MInv = cv.getPerspectiveTransform(dstTri, srcTri);
+    let transform = [0, 3, 6].map(i => Array.from(MInv.data64F.slice(i, i + 3)));
     
-    const src = cvImread(imageRaw);
     const dst = new cv.Mat();
     cv.warpPerspective(src, dst, M, new cv.Size(img_crop_width, img_crop_height), 
         cv.INTER_CUBIC, cv.BORDER_REPLICATE, new cv.Scalar());
     
     let dst_rot = dst;
+    let column = null;
     if (dst.rows / dst.cols >= 1.5) {
+        column = { image: cvImshow(dst), transform };
         dst_rot = new cv.Mat();
         const M_rot = cv.getRotationMatrix2D(new cv.Point(dst.cols / 2, dst.cols / 2), 90, 1);
         cv.warpAffine(dst, dst_rot, M_rot, new cv.Size(dst.rows, dst.cols), 
             cv.INTER_CUBIC, cv.BORDER_REPLICATE, new cv.Scalar());
+        // The quarter-turn sends (x, y) to (y, cols - x); undo it before the perspective inverse
+        transform = multiplyHomography(transform, [[0, -1, dst.cols], [1, 0, 0], [0, 0, 1]]);
+        M_rot.delete();
         dst.delete();
     }
     
-    src.delete();
+    if (src !== imageRaw) src.delete();
     srcTri.delete();
     dstTri.delete();
+    M.delete();
+    MInv.delete();
     
-    return cvImshow(dst_rot);
+    return { image: cvImshow(dst_rot), transform, ...(column && { column }) };
+}
+
+function multiplyHomography(a, b) {
+    return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+function applyHomography([x, y], h) {
+    const w = h[2][0] * x + h[2][1] * y + h[2][2];
+    return [
+        (h[0][0] * x + h[0][1] * y + h[0][2]) / w,
+        (h[1][0] * x + h[1][1] * y + h[1][2]) / w
+    ];
 }
 
 function unclip(box, unclip_ratio = 1.5) {
@@ -451,34 +729,345 @@ function unclip(box, unclip_ratio = 1.5) {
     return expanded[0] ? expanded[0].map(item => [item.X, item.Y]).flat() : [];
 }
 
+// =============================================================================
+// PAGE ORIENTATION
+// =============================================================================
+
+/**
+ * Estimate how a page should be rotated from its detected line boxes. Elongated
+ * boxes vote by length: mostly tall lines mean the page is on its side (90°),
+ * and the residual angle of their long edges gives the skew. Upside-down pages
+ * look identical here; the angle classifier resolves those.
+ * @returns {{ rotation: number, skew: number }} Clockwise degrees
+ */
+function estimatePageCorrection(boxes, config = DEFAULT_CONFIG.DETECTION) {
+    let horizontalWeight = 0, verticalWeight = 0;
+    const residuals = [];
+    
+    for (const box of boxes) {
+        const width = linalgNorm(box[0], box[1]);
+        const height = linalgNorm(box[0], box[3]);
+        const [long, short] = width >= height ? [width, height] : [height, width];
+        if (!short || long / short < config.ORIENTATION_MIN_ASPECT) continue;
+        
+        const [from, to] = width >= height ? [box[0], box[1]] : [box[0], box[3]];
+        let angle = Math.atan2(to[1] - from[1], to[0] - from[0]) * 180 / Math.PI;
+        if (angle > 90) angle -= 180;
+        if (angle <= -90) angle += 180;
+        
+        // The residual from the nearest axis is the skew, whichever quarter-turn applies
+        const isHorizontal = Math.abs(angle) <= 45;
+        if (isHorizontal) horizontalWeight += long;
+        else verticalWeight += long;
+        residuals.push({ residual: isHorizontal ? angle : angle - Math.sign(angle) * 90, weight: long });
+    }
+    
+    residuals.sort((a, b) => a.residual - b.residual);
+    const totalWeight = residuals.reduce((sum, r) => sum + r.weight, 0);
+    let skew = 0, cumulative = 0;
+    for (const { residual, weight } of residuals) {
+        cumulative += weight;
+        if (cumulative >= totalWeight / 2) {
+            skew = -residual || 0;
+            break;
+        }
+    }
+    
+    if (Math.abs(skew) < config.MIN_SKEW_ANGLE || Math.abs(skew) > config.MAX_SKEW_ANGLE) skew = 0;
+    return { rotation: verticalWeight > horizontalWeight ? 90 : 0, skew };
+}
+
+/**
+ * Rotate an image clockwise about its centre. Quarter-turns swap the canvas
+ * dimensions; any extra skew keeps that canvas and fills uncovered corners white.
+ * @returns {{ image: ImageRaw, matrix: number[][] }} Rotated image and the 2x3 forward matrix
+ */
+function rotateImage(imageRaw, angle) {
+    const quarterTurns = ((Math.round(angle / 90) % 4) + 4) % 4;
+    const [width, height] = quarterTurns % 2
+        ? [imageRaw.height, imageRaw.width]
+        : [imageRaw.width, imageRaw.height];
+    
+    const rad = angle * Math.PI / 180;
+    const [cos, sin] = [Math.cos(rad), Math.sin(rad)];
+    const [cx, cy] = [imageRaw.width / 2, imageRaw.height / 2];
+    const matrix = [
+        [cos, -sin, width / 2 - cos * cx + sin * cy],
+        [sin, cos, height / 2 - sin * cx - cos * cy]
+    ];
+    
+    const src = cvImread(imageRaw);
+    const dst = new cv.Mat();
+    const M = cv.matFromArray(2, 3, cv.CV_64F, matrix.flat());
+    cv.warpAffine(src, dst, M, new cv.Size(width, height),
+        cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar(255, 255, 255, 255));
+    
+    const image = cvImshow(dst);
+    src.delete();
+    dst.delete();
+    M.delete();
+    return { image, matrix };
+}
+
+function invertAffine([[a, b, c], [d, e, f]]) {
+    const det = a * e - b * d;
+    return [
+        [e / det, -b / det, (b * f - c * e) / det],
+        [-d / det, a / det, (c * d - a * f) / det]
+    ];
+}
+
+function applyAffine(point, matrix) {
+    return [
+        matrix[0][0] * point[0] + matrix[0][1] * point[1] + matrix[0][2],
+        matrix[1][0] * point[0] + matrix[1][1] * point[1] + matrix[1][2]
+    ];
+}
+
 // =============================================================================
 // DETECTION MODEL
 // =============================================================================
 
+/**
+ * Copy a region of an image into a new ImageRaw of `size`, padding the
+ * right and bottom by repeating the region's edge pixels
+ */
+async function extractTile(image, region, size) {
+    const result = await sharp(image.data, {
+        raw: { width: image.width, height: image.height, channels: 4 }
+    })
+        .extract(region)
+        .extend({ right: size.width - region.width, bottom: size.height - region.height, extendWith: 'copy' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return new ImageRaw({ data: result.data, width: result.info.width, height: result.info.height });
+}
+
+/**
+ * Pad the image black to `size`, placing it at `region`'s top left corner
+ */
+async function letterbox(image, region, size) {
+    const result = await sharp(image.data, {
+        raw: { width: image.width, height: image.height, channels: 4 }
+    })
+        .extend({
+            left: region.left,
+            top: region.top,
+            right: size.width - region.width - region.left,
+            bottom: size.height - region.height - region.top,
+            background: { r: 0, g: 0, b: 0, alpha: 1 }
+        })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return new ImageRaw({ data: result.data, width: result.info.width, height: result.info.height });
+}
+
+/**
+ * The part of a `[1, 1, height, width]` model output inside `region`
+ */
+function cropOutput(output, region) {
+    const width = output.dims[3];
+    const data = new Float32Array(region.width * region.height);
+    for (let y = 0; y < region.height; y++) {
+        const start = (region.top + y) * width + region.left;
+        data.set(output.data.subarray(start, start + region.width), y * region.width);
+    }
+    return { dims: [1, 1, region.height, region.width], data };
+}
+
+function checkDetectionConfig(config) {
+    invariant(config.TILE_OVERLAP >= 0 && config.TILE_OVERLAP < config.TILE_SIZE,
+        `Tile overlap (${config.TILE_OVERLAP}) must be smaller than the tile size (${config.TILE_SIZE})`);
+}
+
 class Detection extends ModelBase {
+    #config;
+
     static async create(options = {}) {
         const config = { ...DEFAULT_CONFIG.DETECTION, ...options };
-        const model = await InferenceSession.create(config.MODEL_PATH, config.ONNX_OPTIONS);
+        checkDetectionConfig(config);
+        const [modelPath] = await resolveModels([config.MODEL_PATH], config.MODELS ?? DEFAULT_CONFIG.MODELS);
+        const model = await InferenceSession.create(modelPath, config.ONNX_OPTIONS);
         return new Detection({ model, config });
     }
 
     constructor({ model, config }) {
         super({ model, options: {} });
+        this.#config = config;
         this.threshold = config.THRESHOLD;
         this.minSize = config.MIN_BOX_SIZE;
         this.maxSize = config.MAX_BOX_SIZE;
         this.unclipRatio = config.UNCLIP_RATIO;
         this.baseSize = config.BASE_SIZE;
         this.maxImageSize = config.MAX_IMAGE_SIZE;
+        this.autoRotate = config.AUTO_ROTATE;
+        this.deskew = config.DESKEW;
+        this.tiling = config.TILING;
+        this.tileSize = config.TILE_SIZE;
+        this.tileOverlap = config.TILE_OVERLAP;
+        this.orientationConfig = {
+            MIN_SKEW_ANGLE: config.MIN_SKEW_ANGLE,
+            MAX_SKEW_ANGLE: config.MAX_SKEW_ANGLE,
+            ORIENTATION_MIN_ASPECT: config.ORIENTATION_MIN_ASPECT
+        };
+    }
+
+    /**
+     * A detector running the same loaded model with some settings replaced
+     * @param {Object} options - DEFAULT_CONFIG.DETECTION keys to change
+     */
+    reconfigure(options) {
+        const config = { ...this.#config, ...options };
+        checkDetectionConfig(config);
+        return new Detection({ model: this.model, config });
+    }
+
+    /**
+     * Detect text lines. When auto-rotation or deskewing is enabled, the page
+     * correction is estimated from a first pass's box angles and detection is
+     * re-run on the corrected image; `correction` then describes the rotation
+     * applied, and its `matrix` maps corrected coordinates back to the input.
+     * @param {Object} options
+     * @param {number} options.rotation - Force this quarter-turn instead of estimating it
+     * @param {boolean} options.correct - Set false to skip auto-rotation and deskewing
+     * @param {Object} options.trace - Receives the final pass's `probabilities`, `mask`,
+     *   `contours` and `boxes` (see debug.js)
+     * @returns {Promise<{ lineImages: Array, correction: Object|null, image: ImageRaw }>} `image`
+     *   is the image the lines were found on, corrected when a correction was applied
+     */
+    async run(input, { onnxOptions = {}, rotation, correct = true, trace } = {}) {
+        const image = await ImageRaw.from(input);
+        // Tiling keeps large images at full resolution instead of shrinking them to maxImageSize
+        const tiled = this.tiling && Math.max(image.width, image.height) > this.maxImageSize;
+        const options = { tiled, onnxOptions };
+        
+        if (!correct || (!this.autoRotate && !this.deskew && rotation === undefined)) {
+            return { lineImages: await this.findLines(image, { ...options, trace }), correction: null, image };
+        }
+
+        const boxes = await this.findLines(image, { ...options, crop: false });
+        const estimate = estimatePageCorrection(boxes, this.orientationConfig);
+        const correction = {
+            rotation: rotation ?? (this.autoRotate ? estimate.rotation : 0),
+            skew: this.deskew ? estimate.skew : 0
+        };
+        correction.angle = correction.rotation + correction.skew;
+
+        const { image: corrected, matrix } = rotateImage(image, correction.angle);
+        return {
+            lineImages: await this.findLines(corrected, { ...options, trace }),
+            correction: { ...correction, matrix: invertAffine(matrix) },
+            image: corrected
+        };
     }
 
-    async run(imagePath, { onnxOptions = {} } = {}) {
-        const image = await ImageRaw.open(imagePath);
-        const inputImage = await image.resize(this.multipleOfBaseSize(image));
-        const modelData = this.imageToInput(inputImage);
-        const modelOutput = await this.runModel({ modelData, onnxOptions });
-        const outputImage = this.outputToImage(modelOutput, this.threshold);
-        return await this.splitIntoLineImages(outputImage, inputImage);
+    /**
+     * Find the lines on the image scaled to the model size (full resolution when
+     * tiled) and crop them from it. Boxes, crop transforms and the trace's
+     * contours are then scaled back to `image` pixels.
+     * @param {boolean} options.crop - Set false for just the boxes
+     */
+    async findLines(image, { tiled, onnxOptions, trace, crop = true }) {
+        const modelImage = tiled ? image : await this.fitToModelSize(image);
+        const outputImage = tiled
+            ? await this.predictTiled(modelImage, { onnxOptions, trace })
+            : await this.predict(modelImage, { onnxOptions, trace });
+
+        const [sx, sy] = [image.width / modelImage.width, image.height / modelImage.height];
+        const toImage = points => points.map(([x, y]) => [
+            Math.max(0, Math.min(Math.round(x * sx), image.width)),
+            Math.max(0, Math.min(Math.round(y * sy), image.height))
+        ]);
+        if (!crop) return this.findBoxes(outputImage, modelImage).map(toImage);
+
+        const scale = [[sx, 0, 0], [0, sy, 0], [0, 0, 1]];
+        const lineImages = (await this.splitIntoLineImages(outputImage, modelImage, trace)).map(li => ({
+            ...li,
+            box: toImage(li.box),
+            transform: multiplyHomography(scale, li.transform),
+            ...(li.column && { column: { ...li.column, transform: multiplyHomography(scale, li.column.transform) } })
+        }));
+        if (trace) Object.assign(trace, { contours: trace.contours.map(toImage), boxes: lineImages.map(li => li.box) });
+        return lineImages;
+    }
+
+    /**
+     * Scale the image to fit the model size, keeping its aspect ratio
+     */
+    async fitToModelSize(image) {
+        const size = this.multipleOfBaseSize(image);
+        const scale = Math.min(size.width / image.width, size.height / image.height);
+        return await (await ImageRaw.from(image)).resize({
+            width: Math.min(size.width, Math.round(image.width * scale)),
+            height: Math.min(size.height, Math.round(image.height * scale)),
+            fit: 'fill'
+        });
+    }
+
+    /**
+     * Run the model on the image letterboxed into the model size, and crop the
+     * probability map back to the image
+     */
+    async predict(image, { onnxOptions = {}, trace } = {}) {
+        const size = this.multipleOfBaseSize(image);
+        const region = {
+            left: Math.floor((size.width - image.width) / 2),
+            top: Math.floor((size.height - image.height) / 2),
+            width: image.width,
+            height: image.height
+        };
+        const inputImage = await letterbox(image, region, size);
+        const modelOutput = await this.runModel({ modelData: this.imageToInput(inputImage), onnxOptions });
+        return this.outputToImage(cropOutput(modelOutput, region), this.threshold, trace);
+    }
+
+    /**
+     * Run the model over overlapping full-resolution tiles and merge their
+     * probability maps (max over overlaps), so lines cut by a tile edge are
+     * whole again before contours are traced
+     */
+    async predictTiled(image, { onnxOptions = {}, trace } = {}) {
+        const { width, height } = image;
+        const probabilities = new Float32Array(width * height);
+        
+        for (const top of this.tileOrigins(height)) {
+            for (const left of this.tileOrigins(width)) {
+                const region = {
+                    left,
+                    top,
+                    width: Math.min(this.tileSize, width - left),
+                    height: Math.min(this.tileSize, height - top)
+                };
+                const tile = await extractTile(image, region, {
+                    width: Math.ceil(region.width / this.baseSize) * this.baseSize,
+                    height: Math.ceil(region.height / this.baseSize) * this.baseSize
+                });
+                const modelOutput = await this.runModel({ modelData: this.imageToInput(tile), onnxOptions });
+                const tileWidth = modelOutput.dims[3];
+                
+                for (let y = 0; y < region.height; y++) {
+                    const rowOffset = (top + y) * width + left;
+                    for (let x = 0; x < region.width; x++) {
+                        const value = modelOutput.data[y * tileWidth + x];
+                        if (value > probabilities[rowOffset + x]) probabilities[rowOffset + x] = value;
+                    }
+                }
+            }
+        }
+        
+        return this.outputToImage({ dims: [1, 1, height, width], data: probabilities }, this.threshold, trace);
+    }
+
+    tileOrigins(length) {
+        const stride = this.tileSize - this.tileOverlap;
+        const origins = [];
+        for (let start = 0; ; start += stride) {
+            if (start + this.tileSize >= length) {
+                origins.push(Math.max(0, length - this.tileSize));
+                return origins;
+            }
+            origins.push(start);
+        }
     }
 
     multipleOfBaseSize(image) {
@@ -493,7 +1082,7 @@ class Detection extends ModelBase {
         };
     }
 
-    outputToImage(output, threshold) {
+    outputToImage(output, threshold, trace) {
         const [height, width] = [output.dims[2], output.dims[3]];
         const data = new Uint8Array(width * height * 4);
         output.data.forEach((outValue, outIndex) => {
@@ -502,10 +1091,25 @@ class Detection extends ModelBase {
             data[n] = data[n + 1] = data[n + 2] = value;
             data[n + 3] = 255;
         });
-        return new ImageRaw({ data, width, height });
+        const mask = new ImageRaw({ data, width, height });
+        if (trace) Object.assign(trace, { probabilities: { data: output.data, width, height }, mask });
+        return mask;
+    }
+
+    async splitIntoLineImages(image, sourceImage, trace) {
+        const src = cvImread(sourceImage);
+        const lineImages = this.findBoxes(image, sourceImage, trace)
+            .map(box => ({ box, ...getRotateCropImage(src, box) }));
+        src.delete();
+        return lineImages;
     }
 
-    async splitIntoLineImages(image, sourceImage) {
+    /**
+     * Trace contours on the thresholded map and turn them into expanded boxes in
+     * source image pixels. `trace` receives every contour's box before the size
+     * checks (`contours`) and the boxes kept (`boxes`).
+     */
+    findBoxes(image, sourceImage, trace) {
         const src = cvImread(image);
         cv.cvtColor(src, src, cv.COLOR_RGBA2GRAY, 0);
         const contours = new cv.MatVector();
@@ -515,9 +1119,11 @@ class Detection extends ModelBase {
         const edgeRect = [];
         const [w, h] = [image.width, image.height];
         const [rx, ry] = [sourceImage.width / w, sourceImage.height / h];
+        if (trace) Object.assign(trace, { contours: [], boxes: edgeRect });
         
         for (let i = 0; i < contours.size(); i++) {
             const { points, sside } = getMiniBoxes(contours.get(i));
+            trace?.contours.push(points.map(p => [p[0] * rx, p[1] * ry]));
             if (sside < this.minSize || sside > this.maxSize) continue;
             
             const clipBox = unclip(points, this.unclipRatio);
@@ -534,7 +1140,7 @@ class Detection extends ModelBase {
             const rect_width = Math.floor(linalgNorm(box1[0], box1[1]));
             const rect_height = Math.floor(linalgNorm(box1[0], box1[3]));
             if (rect_width > 3 && rect_height > 3) {
-                edgeRect.push({ box: box1, image: getRotateCropImage(sourceImage, box1) });
+                edgeRect.push(box1);
             }
         }
         
@@ -546,123 +1152,1228 @@ class Detection extends ModelBase {
 }
 
 // =============================================================================
-// RECOGNITION MODEL
+// ANGLE CLASSIFICATION MODEL
 // =============================================================================
 
-class Recognition extends ModelBase {
-    #dictionary;
-
+class Classification extends ModelBase {
     static async create(options = {}) {
-        const language = options.language || DEFAULT_CONFIG.RECOGNITION.DEFAULT_LANGUAGE;
-        const langConfig = DEFAULT_CONFIG.RECOGNITION.LANGUAGES[language];
-        
-        invariant(langConfig, `Unsupported language: ${language}. Available: ${Object.keys(DEFAULT_CONFIG.RECOGNITION.LANGUAGES).join(', ')}`);
-        
-        const config = {
-            MODEL_PATH: options.modelPath || langConfig.MODEL,
-            DICT_PATH: options.dictionaryPath || langConfig.DICT,
-            CONFIDENCE_THRESHOLD: options.confidenceThreshold ?? DEFAULT_CONFIG.RECOGNITION.CONFIDENCE_THRESHOLD,
-            IMAGE_HEIGHT: options.imageHeight ?? DEFAULT_CONFIG.RECOGNITION.IMAGE_HEIGHT,
-            REMOVE_DUPLICATE_CHARS: options.removeDuplicateChars ?? DEFAULT_CONFIG.RECOGNITION.REMOVE_DUPLICATE_CHARS,
-            ONNX_OPTIONS: { ...DEFAULT_CONFIG.RECOGNITION.ONNX_OPTIONS, ...options.onnxOptions }
-        };
-        
-        const model = await InferenceSession.create(config.MODEL_PATH, config.ONNX_OPTIONS);
-        const dictionary = [...(await FileUtils.read(config.DICT_PATH)).split('\n'), ' '];
-        
-        return new Recognition({ model, config, dictionary });
+        const config = { ...DEFAULT_CONFIG.CLASSIFICATION, ...options };
+        const [modelPath] = await resolveModels([config.MODEL_PATH], config.MODELS ?? DEFAULT_CONFIG.MODELS);
+        const model = await InferenceSession.create(modelPath, config.ONNX_OPTIONS);
+        return new Classification({ model, config });
     }
 
-    constructor({ model, config, dictionary }) {
+    constructor({ model, config }) {
         super({ model, options: {} });
-        this.#dictionary = dictionary;
-        this.confidenceThreshold = config.CONFIDENCE_THRESHOLD;
+        this.threshold = config.THRESHOLD;
         this.imageHeight = config.IMAGE_HEIGHT;
-        this.removeDuplicateChars = config.REMOVE_DUPLICATE_CHARS;
+        this.imageWidth = config.IMAGE_WIDTH;
+        this.batchSize = config.BATCH_SIZE;
+        this.labels = config.LABELS;
     }
 
+    /**
+     * Predict each line crop's orientation and flip the upside-down ones in place.
+     * Every line image gets an `angle` (0 or 180) recording the rotation applied.
+     */
     async run(lineImages, { onnxOptions = {} } = {}) {
-        const modelDatas = await Promise.all(
-            lineImages.map(li => li.image.resize({ height: this.imageHeight }).then(r => this.imageToInput(r)))
-        );
+        const modelDatas = await Promise.all(lineImages.map(async li => {
+            const ratio = li.image.width / li.image.height;
+            const width = Math.min(this.imageWidth, Math.ceil(this.imageHeight * ratio));
+            const resized = await (await ImageRaw.from(li.image))
+                .resize({ width, height: this.imageHeight, fit: 'fill' });
+            return this.imageToInput(resized, { mean: [0.5, 0.5, 0.5], std: [0.5, 0.5, 0.5] });
+        }));
 
-        const allLines = [];
-        for (const modelData of modelDatas) {
+        for (let start = 0; start < modelDatas.length; start += this.batchSize) {
+            const batch = modelDatas.slice(start, start + this.batchSize);
+            const modelData = this.stackBatch(batch, { width: this.imageWidth, replicate: false });
             const output = await this.runModel({ modelData, onnxOptions });
-            allLines.unshift(...this.decodeText(output));
-        }
+            const numLabels = output.dims[1];
 
-        return allLines.map((line, i) => ({
-            ...line,
-            box: lineImages[allLines.length - i - 1].box
-        })).filter(x => x.mean >= this.confidenceThreshold);
-    }
+            for (let b = 0; b < batch.length; b++) {
+                const probs = Array.from(output.data.slice(b * numLabels, (b + 1) * numLabels));
+                const score = Math.max(...probs);
+                const label = this.labels[probs.indexOf(score)];
+                const lineImage = lineImages[start + b];
 
-    decodeText(output) {
-        const line = [];
-        const predLen = output.dims[2];
-        
-        for (let l = output.data.length - predLen * output.dims[1], ml = 0; l >= 0; l -= predLen * output.dims[1], ml++) {
-            const predsIdx = [], predsProb = [];
-            for (let i = l; i < l + predLen * output.dims[1]; i += predLen) {
-                const tmpArr = output.data.slice(i, i + predLen);
-                const tmpMax = Math.max(...tmpArr);
-                predsProb.push(tmpMax);
-                predsIdx.push(tmpArr.indexOf(tmpMax));
+                lineImage.angle = 0;
+                if (label === 180 && score >= this.threshold) {
+                    await lineImage.image.rotate(180);
+                    await lineImage.column?.image.rotate(180);
+                    lineImage.angle = 180;
+                }
             }
-            line[ml] = this.decode(predsIdx, predsProb);
         }
-        return line;
-    }
 
-    decode(textIndex, textProb) {
-        const charList = [], confList = [];
-        for (let idx = 0; idx < textIndex.length; idx++) {
-            if (DEFAULT_CONFIG.RECOGNITION.IGNORED_TOKENS.includes(textIndex[idx])) continue;
-            if (this.removeDuplicateChars && idx > 0 && textIndex[idx - 1] === textIndex[idx]) continue;
-            const char = this.#dictionary[textIndex[idx] - 1];
-            if (char) {
-                charList.push(char);
-                confList.push(textProb[idx]);
-            }
-        }
-        
-        const text = charList.join('').replace(/\r/g, '').replace(/\s+/g, ' ').trim();
-        const mean = confList.length ? confList.reduce((a, b) => a + b) / confList.length : 0;
-        return { text, mean };
+        return lineImages;
     }
 }
 
 // =============================================================================
-// MAIN OCR CLASS
+// RECOGNITION MODEL
 // =============================================================================
 
 /**
- * PureJS OCR - JavaScript-only OCR solution with multilingual support
- * No Python dependencies required!
+ * Character n-gram model with Witten-Bell smoothing, backing off to a uniform
+ * guess over the recognizer's dictionary. Lines of the corpus start after a space.
  */
-class Ocr {
-    #detection;
-    #recognition;
-    #groupingConfig;
+class CharNgramModel {
+    constructor({ corpus, order = DEFAULT_CONFIG.RECOGNITION.LANGUAGE_MODEL_ORDER }, vocabularySize) {
+        invariant(typeof corpus === 'string' || Array.isArray(corpus), 'languageModel.corpus must be a string or an array of strings');
+        invariant(Number.isInteger(order) && order >= 1, `languageModel.order must be a positive integer, got: ${order}`);
+
+        this.order = order;
+        this.vocabularySize = vocabularySize;
+        // context -> { total, next: Map(char -> count) }
+        this.contexts = new Map();
+
+        const lines = Array.isArray(corpus) ? corpus : corpus.split('\n');
+        for (const line of lines) {
+            const chars = [' ', ...String(line).replace(/\r/g, '')];
+            for (let i = 1; i < chars.length; i++) {
+                for (let k = 0; k < order && k <= i; k++) {
+                    const context = chars.slice(i - k, i).join('');
+                    if (!this.contexts.has(context)) this.contexts.set(context, { total: 0, next: new Map() });
+                    const stats = this.contexts.get(context);
+                    stats.total++;
+                    stats.next.set(chars[i], (stats.next.get(chars[i]) ?? 0) + 1);
+                }
+            }
+        }
+    }
 
     /**
-     * Create an OCR instance
-     * @param {Object} options - Configuration options
-     * @param {string} options.language - Language code (en, ch, ja, ko, latin)
-     * @param {number} options.detectionThreshold - Text detection threshold (0-1)
-     * @param {number} options.confidenceThreshold - Recognition confidence threshold (0-1)
-     * @param {number} options.minBoxSize - Minimum text box size
-     * @param {number} options.maxBoxSize - Maximum text box size
-     * @param {number} options.unclipRatio - Box expansion ratio
+     * Log probability of `char` following `text`
+     */
+    logProb(text, char) {
+        const history = [' ', ...text.slice(-2 * this.order)];
+        let p = 1 / this.vocabularySize;
+        for (let k = 0; k < this.order && k <= history.length; k++) {
+            const stats = this.contexts.get(history.slice(history.length - k).join(''));
+            if (!stats) break;
+            p = ((stats.next.get(char) ?? 0) + stats.next.size * p) / (stats.total + stats.next.size);
+        }
+        return Math.log(p);
+    }
+}
+
+/**
+ * Word list for biasing the beam: appending a character earns a bonus while the
+ * current word is still the start of a listed word (case-sensitive)
+ */
+class Lexicon {
+    constructor(words) {
+        invariant(Array.isArray(words), 'lexicon must be an array of words');
+        this.prefixes = new Set();
+        for (const word of words) {
+            const chars = [...String(word).trim()];
+            for (let i = 1; i <= chars.length; i++) this.prefixes.add(chars.slice(0, i).join(''));
+        }
+    }
+
+    matches(text, char) {
+        if (/\s/.test(char)) return false;
+        return this.prefixes.has(text.split(/\s/).at(-1) + char);
+    }
+}
+
+const normalizeLineText = text => text.replace(/\r/g, '').replace(/\s+/g, ' ').trim();
+
+const logAddExp = (a, b) => {
+    if (a === -Infinity) return b;
+    if (b === -Infinity) return a;
+    return Math.max(a, b) + Math.log1p(Math.exp(-Math.abs(a - b)));
+};
+
+/**
+ * Indices of the `count` largest values of a row, optionally among `allowed` indices only
+ */
+function topIndices(row, count, allowed = null) {
+    const top = [];
+    for (let i = 0; i < row.length; i++) {
+        if (allowed && !allowed.has(i)) continue;
+        if (top.length === count && row[i] <= row[top.at(-1)]) continue;
+        let j = top.length;
+        while (j > 0 && row[top[j - 1]] < row[i]) j--;
+        top.splice(j, 0, i);
+        if (top.length > count) top.pop();
+    }
+    return top;
+}
+
+/**
+ * CTC prefix beam search over per-timestep class probabilities. Each beam keeps
+ * the log probability of its prefix ending in a blank (`pb`) or in its last
+ * character (`pnb`), plus the `bias` added when its characters were appended.
+ * A beam's spans come from the likeliest path that reached it, so characters
+ * can still be placed on the line.
+ * @param {Float32Array[]} rows - Class probabilities of each timestep
+ * @param {Object} options
+ * @param {number} options.beamWidth - Beams kept, and characters tried, per timestep
+ * @param {string[]} options.dictionary - Characters of classes 1..n
+ * @param {Function} options.bias - `(text, char) => number` added when `char` is appended to `text`
+ * @param {Set<number>} options.allowed - Only extend beams with these classes (default: all)
+ * @returns {Object[]} Final beams `{ text, score, spans }`, best first
+ */
+function ctcBeamSearch(rows, { beamWidth, dictionary, bias, allowed = null }) {
+    const [blank, ...ignored] = DEFAULT_CONFIG.RECOGNITION.IGNORED_TOKENS;
+    const score = beam => logAddExp(beam.pb, beam.pnb) + beam.bias;
+    let beams = [{ key: '', labels: [], text: '', bias: 0, pb: 0, pnb: -Infinity, spans: [] }];
+
+    rows.forEach((row, t) => {
+        const next = new Map();
+        const add = (key, field, logp, from, spans) => {
+            if (logp === -Infinity) return;
+            let beam = next.get(key);
+            if (!beam) {
+                beam = { ...from(), key, pb: -Infinity, pnb: -Infinity, best: -Infinity };
+                next.set(key, beam);
+            }
+            beam[field] = logAddExp(beam[field], logp);
+            if (logp > beam.best) {
+                beam.best = logp;
+                beam.spans = spans();
+            }
+        };
+
+        const candidates = topIndices(row, beamWidth, allowed)
+            .filter(c => c !== blank && !ignored.includes(c) && dictionary[c - 1] !== undefined);
+
+        for (const beam of beams) {
+            const total = logAddExp(beam.pb, beam.pnb);
+            const last = beam.labels.at(-1);
+            const same = () => beam;
+
+            // A blank, or the last character firing again, keeps the prefix
+            add(beam.key, 'pb', total + Math.log(row[blank]), same, () => beam.spans);
+            if (last !== undefined) {
+                add(beam.key, 'pnb', beam.pnb + Math.log(row[last]), same, () => {
+                    const span = beam.spans.at(-1);
+                    return [...beam.spans.slice(0, -1),
+                        { ...span, confidence: Math.max(span.confidence, row[last]), end: t + 1 }];
+                });
+            }
+
+            for (const c of candidates) {
+                const char = dictionary[c - 1];
+                // The same character twice in a row needs a blank between them
+                const logp = (c === last ? beam.pb : total) + Math.log(row[c]);
+                add(`${beam.key},${c}`, 'pnb', logp,
+                    () => ({ labels: [...beam.labels, c], text: beam.text + char, bias: beam.bias + bias(beam.text, char) }),
+                    () => [...beam.spans, { text: char, confidence: row[c], start: t, end: t + 1 }]);
+            }
+        }
+
+        beams = [...next.values()].sort((a, b) => score(b) - score(a)).slice(0, beamWidth);
+    });
+
+    return beams.map(beam => ({ text: beam.text, score: score(beam), spans: beam.spans }));
+}
+
+/**
+ * Lay a vertical text column out as a horizontal line the recognizer can read:
+ * the column is cut between characters (at blank rows, splitting touching
+ * characters at the column's pitch) and the cells are set side by side, upright
+ * @param {ImageRaw} column - Upright crop with the characters stacked top to bottom
+ * @returns {{ image: ImageRaw, cells: { top: number, bottom: number }[] }} The line,
+ *   and the column rows of each cell, which are `column.width` apart in the line
+ */
+function stackColumn(column) {
+    const { data, width, height } = column;
+    const gray = new Uint8Array(width * height);
+    // One pass for the extremes: spreading a tall column into Math.min overflows the stack
+    let [darkest, lightest] = [255, 0];
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+        if (gray[i] < darkest) darkest = gray[i];
+        if (gray[i] > lightest) lightest = gray[i];
+    }
+    const threshold = (darkest + lightest) / 2;
+
+    const rowInk = new Array(height).fill(false);
+    let [inkLeft, inkRight] = [width, -1];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] >= threshold) continue;
+            rowInk[y] = true;
+            inkLeft = Math.min(inkLeft, x);
+            inkRight = Math.max(inkRight, x);
+        }
+    }
+    // Square characters are about as tall as the column's ink is wide
+    const pitch = Math.max(1, inkRight - inkLeft + 1);
+
+    // Strokes are joined while they fit in one character (as in 二); taller runs are touching characters
+    const glyphs = [];
+    rowInk.forEach((ink, y) => {
+        if (!ink) return;
+        const last = glyphs.at(-1);
+        if (last?.bottom === y || (last && y + 1 - last.top <= pitch * 1.2)) last.bottom = y + 1;
+        else glyphs.push({ top: y, bottom: y + 1 });
+    });
+    const pieces = glyphs.flatMap(({ top, bottom }) => {
+        const count = Math.max(1, Math.round((bottom - top) / pitch));
+        return Array.from({ length: count }, (_, i) => ({
+            top: Math.round(top + (bottom - top) * i / count),
+            bottom: Math.round(top + (bottom - top) * (i + 1) / count)
+        }));
+    });
+
+    // Cut halfway between characters so the cells cover the whole column
+    const cuts = [0, ...pieces.slice(1).map((piece, i) => Math.round((pieces[i].bottom + piece.top) / 2)), height];
+    const cells = cuts.slice(0, -1).map((top, i) => ({ top, bottom: cuts[i + 1] }));
+
+    // Centre each cell vertically, repeating its edge rows as the crops' border does
+    const lineHeight = Math.max(...cells.map(({ top, bottom }) => bottom - top));
+    const lineWidth = width * cells.length;
+    const line = Buffer.alloc(lineWidth * lineHeight * 4);
+    cells.forEach(({ top, bottom }, i) => {
+        const offset = Math.floor((lineHeight - (bottom - top)) / 2);
+        for (let y = 0; y < lineHeight; y++) {
+            const row = Math.min(bottom - 1, Math.max(top, top + y - offset));
+            data.copy(line, (y * lineWidth + i * width) * 4, row * width * 4, (row + 1) * width * 4);
+        }
+    });
+
+    return { image: new ImageRaw({ data: line, width: lineWidth, height: lineHeight }), cells };
+}
+
+/**
+ * Column row at `position` (0-1) along a line stacked from `cells`
+ */
+function columnRow(cells, position) {
+    const scaled = position * cells.length;
+    const i = Math.min(cells.length - 1, Math.floor(scaled));
+    return cells[i].top + (scaled - i) * (cells[i].bottom - cells[i].top);
+}
+
+/**
+ * Place decoded characters on the page. Each character's span along the line
+ * (a fraction of its width) becomes a strip of the crop, which the crop's
+ * transform maps back onto the source image; spaces split the line into words.
+ * With `cells` the line was stacked from the crop's column, so the strips run
+ * down the column instead.
+ * @returns {{ chars: Object[], words: Object[] }} `{ text, confidence, box }` each
+ */
+function alignGlyphs(glyphs, lineImage, cells = null) {
+    const { image, transform } = cells ? lineImage.column : lineImage;
+    const { width, height } = image;
+    // An upside-down crop was flipped after cropping, so undo the flip first
+    const toSource = ([x, y]) => applyHomography(
+        lineImage.angle === 180 ? [width - x, height - y] : [x, y], transform);
+    const glyphBox = cells
+        ? (start, end) => {
+            const [top, bottom] = [columnRow(cells, start), columnRow(cells, end)];
+            return [[0, top], [width, top], [width, bottom], [0, bottom]];
+        }
+        : (start, end) => [[start * width, 0], [end * width, 0], [end * width, height], [start * width, height]];
+
+    const chars = glyphs.map(({ text, confidence, start, end }) => ({
+        text,
+        confidence,
+        box: glyphBox(start, end).map(toSource)
+    }));
+    const words = charsToWords(chars, cells
+        ? word => [word[0].box[0], word[0].box[1], word.at(-1).box[2], word.at(-1).box[3]]
+        : word => [word[0].box[0], word.at(-1).box[1], word.at(-1).box[2], word[0].box[3]]);
+
+    return { chars, words };
+}
+
+/**
+ * Split characters into words at spaces; `wordBox` gets each word's characters
+ */
+function charsToWords(chars, wordBox) {
+    const words = [];
+    let current = [];
+    for (const char of [...chars, null]) {
+        if (char && char.text.trim()) {
+            current.push(char);
+            continue;
+        }
+        if (current.length) {
+            words.push({
+                text: current.map(c => c.text).join(''),
+                confidence: current.reduce((sum, c) => sum + c.confidence, 0) / current.length,
+                box: wordBox(current)
+            });
+        }
+        current = [];
+    }
+    return words;
+}
+
+/**
+ * Recognizers read a line left to right, so right-to-left text comes out in
+ * visual order. Put a horizontal line's text, characters and words in logical
+ * order; a word's box still runs from its leftmost to its rightmost character.
+ * Lines reading mostly right to left are marked `rtl`.
+ */
+function toLogicalOrder(line) {
+    if (line.direction === 'vertical') return line;
+    const chars = reorderVisual(line.chars.map(char => char.text))
+        .map(({ index, text }) => ({ ...line.chars[index], text, index }));
+    const words = charsToWords(chars, word => {
+        const byPosition = [...word].sort((a, b) => a.index - b.index);
+        const [left, right] = [byPosition[0], byPosition.at(-1)];
+        return [left.box[0], right.box[1], right.box[2], left.box[3]];
+    });
+    const text = chars.map(char => char.text).join('');
+    return {
+        ...line,
+        text,
+        ...(line.alternatives && { alternatives: line.alternatives.map(alt => ({ ...alt, text: logicalText(alt.text) })) }),
+        ...(line.unconstrained && { unconstrained: { ...line.unconstrained, text: logicalText(line.unconstrained.text) } }),
+        ...(baseDirection(text) === 'rtl' && { rtl: true }),
+        chars: chars.map(({ index, ...char }) => char),
+        words
+    };
+}
+
+class Recognition extends ModelBase {
+    #dictionary;
+    #lexicon;
+    #languageModel;
+
+    static async create(options = {}) {
+        const language = options.language || DEFAULT_CONFIG.RECOGNITION.DEFAULT_LANGUAGE;
+        const langConfig = DEFAULT_CONFIG.RECOGNITION.LANGUAGES[language];
+        
+        invariant(langConfig, `Unsupported language: ${language}. Available: ${Object.keys(DEFAULT_CONFIG.RECOGNITION.LANGUAGES).join(', ')}`);
+        
+        const config = {
+            LANGUAGE: language,
+            MODEL_PATH: options.modelPath || langConfig.MODEL,
+            DICT_PATH: options.dictionaryPath || langConfig.DICT,
+            CONFIDENCE_THRESHOLD: options.confidenceThreshold ?? DEFAULT_CONFIG.RECOGNITION.CONFIDENCE_THRESHOLD,
+            IMAGE_HEIGHT: options.imageHeight ?? langConfig.IMAGE_HEIGHT ?? DEFAULT_CONFIG.RECOGNITION.IMAGE_HEIGHT,
+            REMOVE_DUPLICATE_CHARS: options.removeDuplicateChars ?? DEFAULT_CONFIG.RECOGNITION.REMOVE_DUPLICATE_CHARS,
+            BATCH_SIZE: options.batchSize ?? DEFAULT_CONFIG.RECOGNITION.BATCH_SIZE,
+            DECODER: options.decoder ?? DEFAULT_CONFIG.RECOGNITION.DECODER,
+            BEAM_WIDTH: options.beamWidth ?? DEFAULT_CONFIG.RECOGNITION.BEAM_WIDTH,
+            ALTERNATIVES: options.alternatives ?? DEFAULT_CONFIG.RECOGNITION.ALTERNATIVES,
+            LEXICON: options.lexicon,
+            LEXICON_WEIGHT: options.lexiconWeight ?? DEFAULT_CONFIG.RECOGNITION.LEXICON_WEIGHT,
+            LANGUAGE_MODEL: options.languageModel,
+            LANGUAGE_MODEL_WEIGHT: options.languageModelWeight ?? DEFAULT_CONFIG.RECOGNITION.LANGUAGE_MODEL_WEIGHT,
+            // Custom models are trusted to read vertical text when asked to
+            VERTICAL_TEXT: Boolean(options.verticalText && (langConfig.VERTICAL || options.modelPath)),
+            ONNX_OPTIONS: { ...DEFAULT_CONFIG.RECOGNITION.ONNX_OPTIONS, ...options.onnxOptions }
+        };
+        
+        invariant(Number.isInteger(config.BATCH_SIZE) && config.BATCH_SIZE >= 1,
+            `Recognition batch size must be a positive integer, got: ${config.BATCH_SIZE}`);
+        invariant(config.DECODER === 'greedy' || config.DECODER === 'beam',
+            `decoder must be 'greedy' or 'beam', got: ${config.DECODER}`);
+        invariant(config.DECODER === 'beam' || (!config.LEXICON && !config.LANGUAGE_MODEL),
+            "lexicon and languageModel only apply to decoder: 'beam'");
+        invariant(Number.isInteger(config.BEAM_WIDTH) && config.BEAM_WIDTH >= 1,
+            `beamWidth must be a positive integer, got: ${config.BEAM_WIDTH}`);
+        invariant(Number.isInteger(config.ALTERNATIVES) && config.ALTERNATIVES >= 0,
+            `alternatives must be a non-negative integer, got: ${config.ALTERNATIVES}`);
+        invariant(config.MODEL_PATH && config.DICT_PATH,
+            `${langConfig.NAME} has no bundled model: pass recognitionModelPath and dictionaryPath, `
+            + 'or register one with Ocr.registerLanguage');
+        
+        const [modelPath, dictPath] = await resolveModels([config.MODEL_PATH, config.DICT_PATH],
+            options.models ?? DEFAULT_CONFIG.MODELS);
+        const model = await InferenceSession.create(modelPath, config.ONNX_OPTIONS);
+        const dictionary = [...(await FileUtils.read(dictPath)).split('\n'), ' '];
+        
+        return new Recognition({ model, config, dictionary });
+    }
+
+    constructor({ model, config, dictionary }) {
+        super({ model, options: {} });
+        this.#dictionary = dictionary;
+        this.language = config.LANGUAGE;
+        this.confidenceThreshold = config.CONFIDENCE_THRESHOLD;
+        this.imageHeight = config.IMAGE_HEIGHT;
+        this.removeDuplicateChars = config.REMOVE_DUPLICATE_CHARS;
+        this.batchSize = config.BATCH_SIZE;
+        this.decoder = config.DECODER;
+        this.beamWidth = config.BEAM_WIDTH;
+        this.alternatives = config.ALTERNATIVES;
+        this.#lexicon = config.LEXICON ? new Lexicon(config.LEXICON) : null;
+        this.#languageModel = config.LANGUAGE_MODEL ? new CharNgramModel(config.LANGUAGE_MODEL, dictionary.length) : null;
+        this.lexiconWeight = config.LEXICON_WEIGHT;
+        this.languageModelWeight = config.LANGUAGE_MODEL_WEIGHT;
+        this.verticalText = config.VERTICAL_TEXT;
+    }
+
+    /**
+     * Recognize line images with several recognizers and keep, for each line,
+     * the reading with the highest mean confidence (earlier recognizers win ties)
+     */
+    static async runMultiple(recognitions, lineImages, options = {}) {
+        const { trace } = options;
+        const candidates = [];
+        for (const recognition of recognitions) {
+            candidates.push(await recognition.recognize(lineImages, options));
+        }
+
+        const best = lineImages.map((_, i) => candidates.reduce(
+            (bestIdx, lines, r) => lines[i].mean > candidates[bestIdx][i].mean ? r : bestIdx, 0));
+
+        const lines = lineImages.map((lineImage, i) => {
+            const { glyphs, cells, ...line } = candidates[best[i]][i];
+            return {
+                ...toLogicalOrder({ ...line, ...alignGlyphs(glyphs, lineImage, cells) }),
+                box: lineImage.box,
+                angle: lineImage.angle,
+                language: recognitions[best[i]].language,
+                threshold: recognitions[best[i]].confidenceThreshold
+            };
+        });
+        // Rejected lines too, so debug output shows what the threshold dropped
+        trace?.lines.push(...lines.map((line, i) => ({
+            text: line.text,
+            confidence: line.mean,
+            accepted: line.mean >= line.threshold,
+            box: line.box,
+            language: line.language,
+            image: lineImages[i].image
+        })));
+
+        // Results are reported in reverse detection order (contours come out bottom-up)
+        return lines.reverse()
+            .filter(x => x.mean >= x.threshold)
+            .map(({ threshold, ...line }) => line);
+    }
+
+    async run(lineImages, options = {}) {
+        return await Recognition.runMultiple([this], lineImages, options);
+    }
+
+    /**
+     * Read line images. With vertical text enabled, a crop that was tall is also
+     * read as a column of stacked characters, and the more confident reading
+     * wins; lines get the `direction` they were read in.
+     */
+    async recognize(lineImages, { onnxOptions = {}, allowedChars, pattern } = {}) {
+        const constraint = this.compileConstraint({ allowedChars, pattern });
+        const variants = lineImages.flatMap((li, index) => [
+            { index, image: li.image },
+            ...(this.verticalText && li.column ? [{ index, ...stackColumn(li.column.image) }] : [])
+        ]);
+        // Resize copies so other recognizers still see the original crops
+        const modelDatas = await Promise.all(variants.map(async ({ image }) => {
+            const resized = await (await ImageRaw.from(image)).resize({ height: this.imageHeight });
+            return this.imageToInput(resized);
+        }));
+
+        // Batch only lines of nearly the same width: the model reads a padded line differently
+        const order = modelDatas.map((_, i) => i).sort((a, b) => modelDatas[a].width - modelDatas[b].width);
+        const fits = (start, end) => end - start < this.batchSize &&
+            modelDatas[order[end]].width - modelDatas[order[start]].width <= DEFAULT_CONFIG.RECOGNITION.BATCH_MAX_PADDING;
+
+        const allLines = new Array(modelDatas.length);
+        for (let start = 0, end; start < order.length; start = end) {
+            for (end = start + 1; end < order.length && fits(start, end); end++);
+            const indices = order.slice(start, end);
+            const modelData = this.stackBatch(indices.map(i => modelDatas[i]));
+            const output = await this.runModel({ modelData, onnxOptions });
+            const lines = this.decodeText(output, indices.map(i => modelDatas[i].width / modelData.width), constraint);
+            indices.forEach((lineIndex, b) => { allLines[lineIndex] = lines[b]; });
+        }
+
+        const readings = lineImages.map(() => null);
+        variants.forEach(({ index, cells }, v) => {
+            if (readings[index] && readings[index].mean >= allLines[v].mean) return;
+            readings[index] = cells
+                ? { ...allLines[v], direction: 'vertical', cells }
+                : { ...allLines[v], direction: 'horizontal' };
+        });
+        return readings;
+    }
+
+    /**
+     * Turn per-call `allowedChars`/`pattern` options into the dictionary classes
+     * decoding may use and an anchored regex the text has to match
+     * @returns {{ allowed: Set<number>|null, pattern: RegExp|null }|null} Null when unconstrained
+     */
+    compileConstraint({ allowedChars, pattern } = {}) {
+        if (!allowedChars && !pattern) return null;
+        invariant(!allowedChars || typeof allowedChars === 'string', 'allowedChars must be a string');
+        invariant(!pattern || typeof pattern === 'string' || pattern instanceof RegExp, 'pattern must be a string or RegExp');
+
+        let allowed = null;
+        if (allowedChars) {
+            const chars = new Set(allowedChars);
+            allowed = new Set(DEFAULT_CONFIG.RECOGNITION.IGNORED_TOKENS);
+            this.#dictionary.forEach((entry, i) => {
+                const text = entry.replace(/\r/g, '');
+                if (text && [...text].every(char => chars.has(char))) allowed.add(i + 1);
+            });
+        }
+
+        const source = pattern instanceof RegExp ? pattern.source : pattern;
+        const flags = pattern instanceof RegExp ? pattern.flags.replace(/[gy]/g, '') : '';
+        return { allowed, pattern: pattern ? new RegExp(`^(?:${source})$`, flags) : null };
+    }
+
+    decodeText(output, widthRatios = [], constraint = null) {
+        const lines = [];
+        const [batchSize, timesteps, predLen] = output.dims;
+        
+        for (let b = 0; b < batchSize; b++) {
+            // Skip the timesteps that only cover a padded line's replicated tail
+            const lineSteps = timesteps * (widthRatios[b] ?? 1);
+            const validSteps = Math.min(timesteps, Math.ceil(lineSteps));
+            const rows = Array.from({ length: validSteps }, (_, t) => {
+                const i = (b * timesteps + t) * predLen;
+                return output.data.subarray(i, i + predLen);
+            });
+
+            const line = this.decoder === 'beam' ? this.decodeBeam(rows, lineSteps) : this.decodeGreedy(rows, lineSteps);
+            if (!constraint) {
+                lines.push(line);
+                continue;
+            }
+            lines.push({
+                ...this.decodeConstrained(rows, lineSteps, constraint),
+                unconstrained: { text: line.text, confidence: line.mean }
+            });
+        }
+        return lines;
+    }
+
+    /**
+     * Take the likeliest class at each timestep, among `allowed` ones if given
+     */
+    decodeGreedy(rows, lineSteps, allowed = null) {
+        const predsIdx = [], predsProb = [];
+        for (const row of rows) {
+            let best = -1;
+            for (let c = 0; c < row.length; c++) {
+                if (allowed && !allowed.has(c)) continue;
+                if (best === -1 || row[c] > row[best]) best = c;
+            }
+            predsProb.push(row[best]);
+            predsIdx.push(best);
+        }
+        return this.decode(predsIdx, predsProb, lineSteps);
+    }
+
+    /**
+     * Decode with only the allowed characters. A pattern needs whole readings
+     * to test, so it always goes through the beam search and keeps the best
+     * reading that matches; `matched` is false when none of the beams did and
+     * the best allowed reading is returned instead.
+     */
+    decodeConstrained(rows, lineSteps, { allowed, pattern }) {
+        if (!pattern) {
+            return this.decoder === 'beam'
+                ? this.decodeBeam(rows, lineSteps, allowed)
+                : this.decodeGreedy(rows, lineSteps, allowed);
+        }
+
+        const beams = this.beamSearch(rows, allowed);
+        // Patterns are written in logical order
+        const matching = beams.filter(beam => pattern.test(logicalText(normalizeLineText(beam.text))));
+        const { alternatives, ...result } = this.beamsToResult(matching.length ? matching : beams, lineSteps);
+        return {
+            ...result,
+            ...(this.decoder === 'beam' && alternatives && { alternatives }),
+            matched: matching.length > 0
+        };
+    }
+
+    /**
+     * Collapse CTC output into text. Besides the text, `glyphs` holds one entry
+     * per character of it with its confidence and its `start`/`end` along the
+     * line as fractions of the line width, taken from the timesteps it fired on.
+     */
+    decode(textIndex, textProb, lineSteps = textIndex.length) {
+        const spans = [];
+        for (let idx = 0; idx < textIndex.length; idx++) {
+            if (DEFAULT_CONFIG.RECOGNITION.IGNORED_TOKENS.includes(textIndex[idx])) continue;
+            if (this.removeDuplicateChars && idx > 0 && textIndex[idx - 1] === textIndex[idx]) {
+                if (spans.length && spans.at(-1).end === idx) spans.at(-1).end = idx + 1;
+                continue;
+            }
+            const char = this.#dictionary[textIndex[idx] - 1];
+            if (char) {
+                spans.push({ text: char, confidence: textProb[idx], start: idx, end: idx + 1 });
+            }
+        }
+        return this.spansToResult(spans, lineSteps);
+    }
+
+    /**
+     * Beam-search counterpart of decode. Repeats are always collapsed, as CTC
+     * intends. Besides the best reading, `alternatives` lists the top distinct
+     * readings with their log-probability scores (including any lexicon and
+     * language model bias), best first.
+     */
+    decodeBeam(rows, lineSteps = rows.length, allowed = null) {
+        return this.beamsToResult(this.beamSearch(rows, allowed), lineSteps);
+    }
+
+    beamSearch(rows, allowed = null) {
+        const bias = (text, char) =>
+            (this.#lexicon?.matches(text, char) ? this.lexiconWeight : 0)
+            + (this.#languageModel ? this.languageModelWeight * this.#languageModel.logProb(text, char) : 0);
+        return ctcBeamSearch(rows, { beamWidth: this.beamWidth, dictionary: this.#dictionary, bias, allowed });
+    }
+
+    beamsToResult(beams, lineSteps) {
+        const alternatives = [];
+        for (const beam of beams) {
+            if (alternatives.length >= this.alternatives) break;
+            const text = normalizeLineText(beam.text);
+            if (!alternatives.some(alt => alt.text === text)) alternatives.push({ text, score: beam.score });
+        }
+
+        return {
+            ...this.spansToResult(beams[0]?.spans ?? [], lineSteps),
+            ...(this.alternatives > 0 && { alternatives })
+        };
+    }
+
+    spansToResult(spans, lineSteps) {
+        const text = normalizeLineText(spans.map(span => span.text).join(''));
+        const mean = spans.length ? spans.reduce((sum, span) => sum + span.confidence, 0) / spans.length : 0;
+        return { text, mean, glyphs: this.spansToGlyphs(spans, lineSteps) };
+    }
+
+    /**
+     * CTC fires on a narrow run of timesteps per character, so neighbouring
+     * characters split the gap between their runs and the outer ones are
+     * padded by half the average character pitch
+     */
+    spansToGlyphs(spans, lineSteps) {
+        // Normalise whitespace the same way the text is, keeping spans aligned with it
+        const glyphs = [];
+        for (const span of spans) {
+            const text = span.text.replace(/\r/g, '');
+            if (!text) continue;
+            if (/^\s+$/.test(text)) {
+                if (glyphs.length && glyphs.at(-1).text !== ' ') glyphs.push({ ...span, text: ' ' });
+            } else {
+                glyphs.push({ ...span, text });
+            }
+        }
+        if (glyphs.at(-1)?.text === ' ') glyphs.pop();
+        if (!glyphs.length) return [];
+
+        const centre = g => (g.start + g.end) / 2;
+        const pitch = glyphs.length > 1
+            ? (centre(glyphs.at(-1)) - centre(glyphs[0])) / (glyphs.length - 1)
+            : lineSteps;
+        const bounds = [Math.max(0, glyphs[0].start - pitch / 2)];
+        for (let i = 1; i < glyphs.length; i++) bounds.push((glyphs[i - 1].end + glyphs[i].start) / 2);
+        bounds.push(Math.min(lineSteps, glyphs.at(-1).end + pitch / 2));
+
+        return glyphs.map((g, i) => ({
+            text: g.text,
+            confidence: g.confidence,
+            start: bounds[i] / lineSteps,
+            end: bounds[i + 1] / lineSteps
+        }));
+    }
+}
+
+// =============================================================================
+// PAGE SOURCES
+// =============================================================================
+
+const PDF_IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+/**
+ * Yield the selected pages of a document one at a time, so only a single
+ * decoded page is held in memory. Multi-page TIFF/GIF/WebP frames are read
+ * with sharp; PDF pages are rasterized from their embedded images.
+ * @param {Object} options
+ * @param {number[]} options.pages - Zero-based page indices (default: all)
+ * @param {number} options.dpi - PDF rasterization resolution
+ */
+async function* openPages(input, { pages, dpi = DEFAULT_CONFIG.PAGES.PDF_DPI } = {}) {
+    if (input instanceof ImageRaw || (input?.data && input.width > 0 && !(input instanceof Uint8Array))) {
+        const image = await ImageRaw.from(input);
+        for (const index of selectPages(pages, 1)) {
+            yield { index, width: image.width, height: image.height, image };
+        }
+        return;
+    }
+
+    let buffer;
+    if (typeof input === 'string') buffer = await fs.readFile(input);
+    else if (FileUtils.isStream(input)) buffer = await FileUtils.readStream(input);
+    else buffer = input;
+    invariant(buffer instanceof Uint8Array, 'Unsupported document input: expected a file path, Buffer or Readable stream');
+
+    if (Buffer.from(buffer.buffer, buffer.byteOffset, 5).toString('latin1') === '%PDF-') {
+        yield* openPdfPages(buffer, { pages, dpi });
+        return;
+    }
+
+    const { pages: pageCount = 1 } = await sharp(buffer).metadata();
+    for (const index of selectPages(pages, pageCount)) {
+        const result = await sharp(buffer, { page: index }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        yield {
+            index,
+            width: result.info.width,
+            height: result.info.height,
+            image: new ImageRaw({ data: result.data, width: result.info.width, height: result.info.height })
+        };
+    }
+}
+
+function selectPages(pages, pageCount) {
+    const selected = pages ?? Array.from({ length: pageCount }, (_, i) => i);
+    for (const index of selected) {
+        invariant(Number.isInteger(index) && index >= 0 && index < pageCount,
+            `Page ${index} is out of range: the document has ${pageCount} page(s)`);
+    }
+    return selected;
+}
+
+async function loadPdfJs() {
+    try {
+        return await import('pdfjs-dist/legacy/build/pdf.mjs');
+    } catch {
+        invariant(false, 'PDF input requires the optional dependency pdfjs-dist: npm install pdfjs-dist');
+    }
+}
+
+async function* openPdfPages(buffer, { pages, dpi }) {
+    const pdfjs = await loadPdfJs();
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isOffscreenCanvasSupported: false,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+    
+    try {
+        for (const index of selectPages(pages, document.numPages)) {
+            const page = await document.getPage(index + 1);
+            const image = await rasterizePdfPage(pdfjs, page, dpi);
+            page.cleanup();
+            yield { index, width: image.width, height: image.height, image };
+        }
+    } finally {
+        await document.destroy();
+    }
+}
+
+/**
+ * Rasterize a scanned PDF page by compositing its embedded images onto a
+ * white canvas at `dpi`. Each image's placement comes from the current
+ * transformation matrix at its paint operator; vector content is not drawn.
+ */
+async function rasterizePdfPage(pdfjs, page, dpi) {
+    const viewport = page.getViewport({ scale: dpi / 72 });
+    const [width, height] = [Math.round(viewport.width), Math.round(viewport.height)];
+    const operators = await page.getOperatorList();
+    
+    const overlays = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+    
+    for (let i = 0; i < operators.fnArray.length; i++) {
+        const fn = operators.fnArray[i];
+        const args = operators.argsArray[i];
+        
+        if (fn === pdfjs.OPS.save) {
+            stack.push(ctm);
+        } else if (fn === pdfjs.OPS.restore) {
+            ctm = stack.pop() ?? [1, 0, 0, 1, 0, 0];
+        } else if (fn === pdfjs.OPS.transform) {
+            ctm = pdfjs.Util.transform(ctm, args);
+        } else if (fn === pdfjs.OPS.paintImageXObject || fn === pdfjs.OPS.paintInlineImageXObject) {
+            const imageData = fn === pdfjs.OPS.paintInlineImageXObject
+                ? args[0]
+                : await new Promise(resolve => page.objs.get(args[0], resolve));
+            const overlay = await placePdfImage(imageData, pdfjs.Util.transform(viewport.transform, ctm), width, height);
+            if (overlay) overlays.push(overlay);
+        }
+    }
+    
+    invariant(overlays.length > 0,
+        `PDF page ${page.pageNumber} has no embedded images: only scanned (image-based) pages can be rasterized`);
+    
+    const result = await sharp({
+        create: { width, height, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } }
+    }).composite(overlays).raw().toBuffer({ resolveWithObject: true });
+    
+    return new ImageRaw({ data: result.data, width: result.info.width, height: result.info.height });
+}
+
+async function placePdfImage(imageData, [a, b, c, d, e, f], pageWidth, pageHeight) {
+    // The image fills the unit square; map its corners to device pixels
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+    const xs = corners.map(p => p[0]), ys = corners.map(p => p[1]);
+    const bounds = {
+        left: Math.round(Math.min(...xs)),
+        top: Math.round(Math.min(...ys)),
+        right: Math.round(Math.max(...xs)),
+        bottom: Math.round(Math.max(...ys))
+    };
+    const visible = {
+        left: Math.max(0, bounds.left),
+        top: Math.max(0, bounds.top),
+        right: Math.min(pageWidth, bounds.right),
+        bottom: Math.min(pageHeight, bounds.bottom)
+    };
+    if (visible.right <= visible.left || visible.bottom <= visible.top) return null;
+    
+    const { data, channels } = pdfImagePixels(imageData);
+    // Quarter-turn the image along its x axis; a positive determinant means it is mirrored
+    const angle = Math.round(Math.atan2(b, a) * 2 / Math.PI) * 90;
+    const input = await sharp(data, { raw: { width: imageData.width, height: imageData.height, channels } })
+        .flip(a * d - b * c > 0)
+        .rotate(angle)
+        .resize({ width: bounds.right - bounds.left, height: bounds.bottom - bounds.top, fit: 'fill' })
+        .extract({
+            left: visible.left - bounds.left,
+            top: visible.top - bounds.top,
+            width: visible.right - visible.left,
+            height: visible.bottom - visible.top
+        })
+        .png()
+        .toBuffer();
+    return { input, left: visible.left, top: visible.top };
+}
+
+function pdfImagePixels({ width, height, kind, data }) {
+    if (kind === PDF_IMAGE_KIND.RGB_24BPP) return { data: Buffer.from(data), channels: 3 };
+    if (kind === PDF_IMAGE_KIND.RGBA_32BPP) return { data: Buffer.from(data), channels: 4 };
+    
+    invariant(kind === PDF_IMAGE_KIND.GRAYSCALE_1BPP, `Unsupported PDF image kind: ${kind}`);
+    // Rows are bit-packed and padded to whole bytes; set bits are white
+    const rowBytes = (width + 7) >> 3;
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+            pixels[y * width + x] = bit ? 255 : 0;
+        }
+    }
+    return { data: pixels, channels: 1 };
+}
+
+// =============================================================================
+// SEARCHABLE PDF
+// =============================================================================
+
+const PDF_POINTS_PER_INCH = 72;
+const PDF_FONT_NAME = 'OcrText';
+// Advance width of every glyph in the text layer, in 1/1000 em
+const PDF_GLYPH_WIDTH = 500;
+
+/**
+ * Build a searchable PDF: the scanned image as the page, with the recognized
+ * text drawn invisibly on top so it can be selected, searched and copied.
+ * @param {string|Buffer|Readable|Object|ImageRaw} imageInput - The image `result` was detected on
+ * @param {Object} result - Result of `Ocr.detect`
+ * @param {Object} options
+ * @param {number} options.dpi - Image resolution, sets the page size (default: image metadata, else 300)
+ * @returns {Promise<Uint8Array>} PDF file bytes
+ */
+async function toSearchablePdf(imageInput, result, { dpi } = {}) {
+    invariant(Array.isArray(result?.data), 'Expected an OCR result from Ocr.detect');
+
+    const { bytes, format, width, height, density } = await encodePdfImage(imageInput);
+    const scale = PDF_POINTS_PER_INCH / (dpi ?? density ?? 300);
+    const pageWidth = width * scale;
+    const pageHeight = height * scale;
+
+    const doc = await PDFDocument.create();
+    doc.setProducer('multilingual-purejs-ocr');
+    const page = doc.addPage([pageWidth, pageHeight]);
+    const image = format === 'jpeg' ? await doc.embedJpg(bytes) : await doc.embedPng(bytes);
+    page.drawImage(image, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+
+    const elements = result.data.filter(el => el.text && el.box?.length === 4);
+    const cids = new Map();
+    for (const el of elements) {
+        for (const char of el.text) {
+            if (!cids.has(char)) cids.set(char, cids.size + 1);
+        }
+    }
+    if (!cids.size) return await doc.save();
+
+    page.node.setFontDictionary(PDFName.of(PDF_FONT_NAME), registerTextLayerFont(doc, cids));
+
+    // Boxes of a corrected result are in rotated/deskewed coordinates; the page shows the original
+    const toPage = ([x, y]) => [x * scale, pageHeight - y * scale];
+    const operators = [beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+    for (const el of elements) {
+        const [topLeft, topRight, bottomRight, bottomLeft] =
+            Ocr.mapBoxToOriginal(el.box, result.correction).map(toPage);
+        const chars = Array.from(el.text);
+        const length = linalgNorm(bottomLeft, bottomRight);
+        const fontSize = (linalgNorm(topLeft, bottomLeft) + linalgNorm(topRight, bottomRight)) / 2;
+        if (!length || !fontSize) continue;
+
+        const angle = Math.atan2(bottomRight[1] - bottomLeft[1], bottomRight[0] - bottomLeft[0]);
+        const naturalLength = chars.length * fontSize * PDF_GLYPH_WIDTH / 1000;
+        const hex = chars.map(char => cids.get(char).toString(16).padStart(4, '0')).join('');
+        operators.push(
+            setFontAndSize(PDF_FONT_NAME, fontSize),
+            setCharacterSqueeze(100 * length / naturalLength),
+            setTextMatrix(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle),
+                bottomLeft[0], bottomLeft[1]),
+            showText(PDFHexString.of(hex))
+        );
+    }
+    operators.push(endText());
+    page.pushOperators(...operators);
+
+    return await doc.save();
+}
+
+/**
+ * JPEG and PNG inputs are embedded unchanged; anything else is re-encoded as PNG
+ */
+async function encodePdfImage(input) {
+    let source = FileUtils.isStream(input) ? await FileUtils.readStream(input) : input;
+    if (typeof source === 'string') source = await fs.readFile(source);
+
+    if (source instanceof Uint8Array) {
+        const { format, width, height, density } = await sharp(source).metadata();
+        if (format === 'jpeg' || format === 'png') {
+            return { bytes: source, format, width, height, density };
+        }
+        const bytes = await sharp(source).png().toBuffer();
+        return { bytes, format: 'png', width, height, density };
+    }
+
+    const image = await ImageRaw.from(source);
+    const bytes = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 4 } })
+        .png().toBuffer();
+    return { bytes, format: 'png', width: image.width, height: image.height };
+}
+
+/**
+ * A Type0 font whose CIDs are indices into the layer's own character set. The
+ * font program is not embedded since the text is never painted; the ToUnicode
+ * map is what makes it searchable and copyable.
+ * @param {Map<string, number>} cids - Character to CID
+ */
+function registerTextLayerFont(doc, cids) {
+    const { context } = doc;
+    const utf16Hex = char => Array.from({ length: char.length }, (_, i) =>
+        char.charCodeAt(i).toString(16).padStart(4, '0')).join('');
+
+    // bfchar blocks are limited to 100 entries each
+    const entries = [...cids].map(([char, cid]) =>
+        `<${cid.toString(16).padStart(4, '0')}> <${utf16Hex(char)}>`);
+    const blocks = [];
+    for (let i = 0; i < entries.length; i += 100) {
+        const block = entries.slice(i, i + 100);
+        blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+    }
+    const toUnicode = [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange',
+        ...blocks,
+        'endcmap',
+        'CMapName currentdict /CMap defineresource pop',
+        'end',
+        'end'
+    ].join('\n');
+
+    const descendant = context.obj({
+        Type: 'Font',
+        Subtype: 'CIDFontType2',
+        BaseFont: PDF_FONT_NAME,
+        CIDSystemInfo: { Registry: PDFString.of('Adobe'), Ordering: PDFString.of('Identity'), Supplement: 0 },
+        FontDescriptor: context.register(context.obj({
+            Type: 'FontDescriptor',
+            FontName: PDF_FONT_NAME,
+            Flags: 4,
+            FontBBox: [0, 0, PDF_GLYPH_WIDTH, 1000],
+            ItalicAngle: 0,
+            Ascent: 1000,
+            Descent: 0,
+            CapHeight: 1000,
+            StemV: 80
+        })),
+        DW: PDF_GLYPH_WIDTH,
+        CIDToGIDMap: 'Identity'
+    });
+
+    return context.register(context.obj({
+        Type: 'Font',
+        Subtype: 'Type0',
+        BaseFont: PDF_FONT_NAME,
+        Encoding: 'Identity-H',
+        DescendantFonts: [context.register(descendant)],
+        ToUnicode: context.register(context.stream(toUnicode))
+    }));
+}
+
+// =============================================================================
+// REGIONS AND TEMPLATES
+// =============================================================================
+
+function checkRegion(region, image) {
+    const { left, top, width, height } = region;
+    invariant([left, top, width, height].every(Number.isFinite) && left >= 0 && top >= 0 && width > 0 && height > 0
+        && left + width <= image.width && top + height <= image.height,
+        `Region ${JSON.stringify(region)} is outside the ${image.width}x${image.height} image`);
+}
+
+/**
+ * Load and validate a form template: `{ fields: [{ name, left, top, width, height }] }`
+ * with positions as fractions (0-1) of the page size. Fields may also set
+ * `allowedChars` and `pattern`.
+ * @param {string|Object} template - Template object or path to a JSON file
+ */
+async function loadTemplate(template) {
+    const parsed = typeof template === 'string' ? JSON.parse(await FileUtils.read(template)) : template;
+    const fields = parsed?.fields;
+    invariant(Array.isArray(fields) && fields.length > 0, 'A template needs a non-empty fields array');
+
+    const names = new Set();
+    for (const field of fields) {
+        invariant(typeof field.name === 'string' && field.name, 'Every template field needs a name');
+        invariant(!names.has(field.name), `Duplicate template field: ${field.name}`);
+        names.add(field.name);
+
+        const { left, top, width, height } = field;
+        // Allow for rounding in hand-written fractions
+        const fits = (start, size) => Number.isFinite(start) && Number.isFinite(size)
+            && start >= 0 && size > 0 && start + size <= 1 + 1e-6;
+        invariant(fits(left, width) && fits(top, height),
+            `Template field ${field.name} must lie within the page, with left/top/width/height as fractions of its size`);
+    }
+    return { ...parsed, fields };
+}
+
+/**
+ * Scale template fields to pixel regions of an image of the given size
+ */
+function templateToRegions(fields, width, height) {
+    return fields.map(({ name, left, top, width: w, height: h, allowedChars, pattern }) => {
+        const region = { name, left: Math.round(left * width), top: Math.round(top * height) };
+        region.width = Math.max(1, Math.min(width - region.left, Math.round(w * width)));
+        region.height = Math.max(1, Math.min(height - region.top, Math.round(h * height)));
+        return { ...region, ...(allowedChars && { allowedChars }), ...(pattern && { pattern }) };
+    });
+}
+
+/**
+ * Join the elements read inside one field in reading order: lines top to
+ * bottom, separated by newlines, and left to right within a line
+ * @returns {{ text: string, confidence: number, box: number[][]|null }}
+ */
+function mergeFieldElements(elements, groupingConfig = DEFAULT_CONFIG.GROUPING) {
+    if (!elements.length) return { text: '', confidence: 0, box: null };
+
+    const sorted = [...elements].sort((a, b) => a.frame.top - b.frame.top || a.frame.left - b.frame.left);
+    const lines = [];
+    for (const el of sorted) {
+        const line = lines.at(-1);
+        if (line && areOnSameLine(line.at(-1).frame, el.frame, groupingConfig)) line.push(el);
+        else lines.push([el]);
+    }
+    const text = lines
+        .map(line => line.sort((a, b) => a.frame.left - b.frame.left).map(el => el.text).join(' '))
+        .join('\n');
+
+    const xs = elements.flatMap(el => el.box.map(p => p[0]));
+    const ys = elements.flatMap(el => el.box.map(p => p[1]));
+    const [left, top, right, bottom] = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    return {
+        text,
+        confidence: elements.reduce((sum, el) => sum + el.confidence, 0) / elements.length,
+        box: elements.length === 1 ? elements[0].box : [[left, top], [right, top], [right, bottom], [left, bottom]]
+    };
+}
+
+// =============================================================================
+// MAIN OCR CLASS
+// =============================================================================
+
+// Ocr.create options that Ocr#derive can change, and the DEFAULT_CONFIG.DETECTION keys they set
+const DERIVED_DETECTION_OPTIONS = {
+    detectionThreshold: 'THRESHOLD',
+    minBoxSize: 'MIN_BOX_SIZE',
+    maxBoxSize: 'MAX_BOX_SIZE',
+    unclipRatio: 'UNCLIP_RATIO',
+    maxImageSize: 'MAX_IMAGE_SIZE',
+    autoRotate: 'AUTO_ROTATE',
+    deskew: 'DESKEW',
+    tiling: 'TILING',
+    tileSize: 'TILE_SIZE',
+    tileOverlap: 'TILE_OVERLAP'
+};
+
+/**
+ * PureJS OCR - JavaScript-only OCR solution with multilingual support
+ * No Python dependencies required!
+ */
+class Ocr {
+    #detection;
+    #classification;
+    #recognitions;
+    #groupingConfig;
+    #layoutConfig;
+    #tablesConfig;
+
+    /**
+     * Create an OCR instance
+     * @param {Object} options - Configuration options
+     * @param {string} options.language - Language code (en, ch, ja, ko, latin; ar, fa, he with a custom model)
+     * @param {string[]} options.languages - Several language codes; each line is read with all
+     *   of them and the most confident reading wins (overrides `language`)
+     * @param {number} options.detectionThreshold - Text detection threshold (0-1)
+     * @param {number} options.confidenceThreshold - Recognition confidence threshold (0-1)
+     * @param {number} options.minBoxSize - Minimum text box size
+     * @param {number} options.maxBoxSize - Maximum text box size
+     * @param {number} options.unclipRatio - Box expansion ratio
+     * @param {boolean} options.autoRotate - Detect and undo 90°/270° page rotation (and 180° with the angle classifier)
+     * @param {boolean} options.deskew - Straighten pages skewed by a few degrees
+     * @param {boolean} options.tiling - Detect on overlapping full-resolution tiles instead of
+     *   downscaling images larger than maxImageSize
+     * @param {number} options.tileSize - Tile edge length in pixels
+     * @param {number} options.tileOverlap - Overlap between neighbouring tiles in pixels
      * @param {string} options.detectionModelPath - Custom detection model path
      * @param {string} options.recognitionModelPath - Custom recognition model path
      * @param {string} options.dictionaryPath - Custom dictionary path
+     * @param {number} options.recognitionBatchSize - Text lines per recognition inference batch
+     * @param {string} options.decoder - CTC decoding: 'greedy' (default) or 'beam'
+     * @param {number} options.beamWidth - Readings kept per timestep by the beam search
+     * @param {number} options.alternatives - Top readings listed per element with the beam search
+     * @param {string[]} options.lexicon - Words to favour with the beam search
+     * @param {number} options.lexiconWeight - Bonus per character matching the start of a lexicon word
+     * @param {Object} options.languageModel - `{ corpus, order }` character n-gram model for the beam search
+     * @param {number} options.languageModelWeight - Weight of the language model's log probability
+     * @param {boolean} options.verticalText - Also read tall lines as vertical columns of
+     *   characters (ch, ja, ko or a custom model)
+     * @param {boolean} options.useAngleClassifier - Flip upside-down text lines before recognition
+     * @param {string} options.clsModelPath - Custom angle classification model path
+     * @param {number} options.clsThreshold - Minimum classifier confidence to flip a line (0-1)
      * @param {Object} options.grouping - Text grouping configuration
+     * @param {Object} options.layout - Layout analysis thresholds (see DEFAULT_CONFIG.LAYOUT)
+     * @param {Object} options.tables - Table reconstruction thresholds (see DEFAULT_CONFIG.TABLES)
      * @param {Object} options.detectionOnnxOptions - ONNX runtime options for detection
      * @param {Object} options.recognitionOnnxOptions - ONNX runtime options for recognition
+     * @param {Object} options.clsOnnxOptions - ONNX runtime options for angle classification
+     * @param {string} options.cacheDir - Where missing default models are looked for and downloaded to
+     *   (default: ~/.cache/multilingual-purejs-ocr)
+     * @param {string} options.modelMirror - Base URL to download default models from instead of their usual sources
+     * @param {boolean} options.downloadModels - Download missing default models (default: true)
+     * @param {boolean} options.verifyModels - Check default models' SHA-256 checksums (default: true)
      */
     static async create(options = {}) {
+        const modelsConfig = {
+            CACHE_DIR: options.cacheDir ?? DEFAULT_CONFIG.MODELS.CACHE_DIR,
+            MIRROR: options.modelMirror ?? DEFAULT_CONFIG.MODELS.MIRROR,
+            DOWNLOAD: options.downloadModels ?? DEFAULT_CONFIG.MODELS.DOWNLOAD,
+            VERIFY: options.verifyModels ?? DEFAULT_CONFIG.MODELS.VERIFY,
+            TIMEOUT: DEFAULT_CONFIG.MODELS.TIMEOUT
+        };
+
         const detectionConfig = {
             MODEL_PATH: options.detectionModelPath || DEFAULT_CONFIG.DETECTION.MODEL_PATH,
             THRESHOLD: options.detectionThreshold ?? DEFAULT_CONFIG.DETECTION.THRESHOLD,
@@ -671,61 +2382,140 @@ class Ocr {
             UNCLIP_RATIO: options.unclipRatio ?? DEFAULT_CONFIG.DETECTION.UNCLIP_RATIO,
             BASE_SIZE: options.baseSize ?? DEFAULT_CONFIG.DETECTION.BASE_SIZE,
             MAX_IMAGE_SIZE: options.maxImageSize ?? DEFAULT_CONFIG.DETECTION.MAX_IMAGE_SIZE,
-            ONNX_OPTIONS: { ...DEFAULT_CONFIG.DETECTION.ONNX_OPTIONS, ...options.detectionOnnxOptions }
+            AUTO_ROTATE: options.autoRotate ?? DEFAULT_CONFIG.DETECTION.AUTO_ROTATE,
+            DESKEW: options.deskew ?? DEFAULT_CONFIG.DETECTION.DESKEW,
+            TILING: options.tiling ?? DEFAULT_CONFIG.DETECTION.TILING,
+            TILE_SIZE: options.tileSize ?? DEFAULT_CONFIG.DETECTION.TILE_SIZE,
+            TILE_OVERLAP: options.tileOverlap ?? DEFAULT_CONFIG.DETECTION.TILE_OVERLAP,
+            ONNX_OPTIONS: { ...DEFAULT_CONFIG.DETECTION.ONNX_OPTIONS, ...options.detectionOnnxOptions },
+            MODELS: modelsConfig
         };
 
+        const languages = options.languages ?? [options.language || DEFAULT_CONFIG.RECOGNITION.DEFAULT_LANGUAGE];
+        invariant(Array.isArray(languages) && languages.length > 0, 'languages must be a non-empty array of language codes');
+        invariant(languages.length === 1 || (!options.recognitionModelPath && !options.dictionaryPath),
+            'recognitionModelPath and dictionaryPath can only be used with a single language');
+        // Checked before any model is fetched or loaded
+        for (const code of languages) {
+            const language = DEFAULT_CONFIG.RECOGNITION.LANGUAGES[code];
+            invariant(language, `Unsupported language: ${code}. Available: ${Object.keys(DEFAULT_CONFIG.RECOGNITION.LANGUAGES).join(', ')}`);
+            invariant((options.recognitionModelPath || language.MODEL) && (options.dictionaryPath || language.DICT),
+                `${language.NAME} has no bundled model: pass recognitionModelPath and dictionaryPath, `
+                + 'or register one with Ocr.registerLanguage');
+        }
+        invariant(!options.verticalText || options.recognitionModelPath
+            || languages.some(code => DEFAULT_CONFIG.RECOGNITION.LANGUAGES[code]?.VERTICAL),
+            `verticalText needs a language written vertically (${Object.keys(DEFAULT_CONFIG.RECOGNITION.LANGUAGES)
+                .filter(code => DEFAULT_CONFIG.RECOGNITION.LANGUAGES[code].VERTICAL).join(', ')}) or a custom recognition model`);
+
         const recognitionConfig = {
-            language: options.language || DEFAULT_CONFIG.RECOGNITION.DEFAULT_LANGUAGE,
             modelPath: options.recognitionModelPath,
             dictionaryPath: options.dictionaryPath,
             confidenceThreshold: options.confidenceThreshold ?? DEFAULT_CONFIG.RECOGNITION.CONFIDENCE_THRESHOLD,
-            imageHeight: options.imageHeight ?? DEFAULT_CONFIG.RECOGNITION.IMAGE_HEIGHT,
+            imageHeight: options.imageHeight,
             removeDuplicateChars: options.removeDuplicateChars ?? DEFAULT_CONFIG.RECOGNITION.REMOVE_DUPLICATE_CHARS,
-            onnxOptions: options.recognitionOnnxOptions
+            batchSize: options.recognitionBatchSize ?? DEFAULT_CONFIG.RECOGNITION.BATCH_SIZE,
+            decoder: options.decoder ?? DEFAULT_CONFIG.RECOGNITION.DECODER,
+            beamWidth: options.beamWidth ?? DEFAULT_CONFIG.RECOGNITION.BEAM_WIDTH,
+            alternatives: options.alternatives ?? DEFAULT_CONFIG.RECOGNITION.ALTERNATIVES,
+            lexicon: options.lexicon,
+            lexiconWeight: options.lexiconWeight ?? DEFAULT_CONFIG.RECOGNITION.LEXICON_WEIGHT,
+            languageModel: options.languageModel,
+            languageModelWeight: options.languageModelWeight ?? DEFAULT_CONFIG.RECOGNITION.LANGUAGE_MODEL_WEIGHT,
+            verticalText: options.verticalText ?? false,
+            onnxOptions: options.recognitionOnnxOptions,
+            models: modelsConfig
+        };
+
+        const classificationConfig = {
+            MODEL_PATH: options.clsModelPath || DEFAULT_CONFIG.CLASSIFICATION.MODEL_PATH,
+            THRESHOLD: options.clsThreshold ?? DEFAULT_CONFIG.CLASSIFICATION.THRESHOLD,
+            ONNX_OPTIONS: { ...DEFAULT_CONFIG.CLASSIFICATION.ONNX_OPTIONS, ...options.clsOnnxOptions },
+            MODELS: modelsConfig
         };
 
         const groupingConfig = { ...DEFAULT_CONFIG.GROUPING, ...options.grouping };
+        const layoutConfig = { ...DEFAULT_CONFIG.LAYOUT, ...options.layout };
+        const tablesConfig = { ...DEFAULT_CONFIG.TABLES, ...options.tables };
+
+        // Fetch and check every file up front, so a single error lists all that are missing
+        await resolveModels([
+            detectionConfig.MODEL_PATH,
+            ...(options.useAngleClassifier ? [classificationConfig.MODEL_PATH] : []),
+            ...languages.flatMap(code => [
+                options.recognitionModelPath || DEFAULT_CONFIG.RECOGNITION.LANGUAGES[code]?.MODEL,
+                options.dictionaryPath || DEFAULT_CONFIG.RECOGNITION.LANGUAGES[code]?.DICT
+            ])
+        ].filter(Boolean), modelsConfig);
 
         const detection = await Detection.create(detectionConfig);
-        const recognition = await Recognition.create(recognitionConfig);
+        const classification = options.useAngleClassifier
+            ? await Classification.create(classificationConfig)
+            : null;
+        const recognitions = [];
+        for (const language of languages) {
+            recognitions.push(await Recognition.create({ ...recognitionConfig, language }));
+        }
         
-        return new Ocr({ detection, recognition, groupingConfig });
+        return new Ocr({ detection, classification, recognitions, groupingConfig, layoutConfig, tablesConfig });
     }
 
-    constructor({ detection, recognition, groupingConfig }) {
+    constructor({
+        detection, classification = null, recognitions, groupingConfig,
+        layoutConfig = DEFAULT_CONFIG.LAYOUT, tablesConfig = DEFAULT_CONFIG.TABLES
+    }) {
         this.#detection = detection;
-        this.#recognition = recognition;
+        this.#classification = classification;
+        this.#recognitions = recognitions;
         this.#groupingConfig = groupingConfig;
+        this.#layoutConfig = layoutConfig;
+        this.#tablesConfig = tablesConfig;
     }
 
     /**
      * Detect and recognize text in an image
-     * @param {string} imagePath - Path to the image file
+     * @param {string|Buffer|Readable|Object|ImageRaw} input - Image path, encoded image Buffer,
+     *   Readable stream, raw pixels `{ data, width, height, channels }` or ImageRaw
      * @param {Object} options - Detection options
      * @param {boolean} options.grouped - Return grouped paragraphs (default: true)
+     * @param {boolean} options.layout - Also return `blocks`: columns, headers and
+     *   paragraphs in reading order (default: false)
+     * @param {boolean|Object} options.tables - Also return `tables` reconstructed from
+     *   elements lining up in rows and columns; `{ rulingLines: true }` also uses the
+     *   lines drawn on the image (default: false)
+     * @param {Object[]} options.regions - Only read inside these `{ name, left, top, width, height }`
+     *   rectangles (input pixels); elements get the `region` name they were found in.
+     *   Pages aren't rotated or deskewed when regions are given.
+     * @param {string} options.allowedChars - Only recognize these characters
+     * @param {string|RegExp} options.pattern - Keep, per line, the best reading matching this
      * @param {Object} options.onnxOptions - ONNX runtime options
+     * @param {boolean|Object} options.debug - Also return `debug` images (PNG buffers): the
+     *   recognized lines with text and confidence, the detection heatmap and mask with its
+     *   contours, the paragraphs, and each line's crop; `{ outputDir }` writes them there
+     *   instead and returns their paths (see debug.js)
      * @returns {Promise<Object>} OCR results with texts and paragraphs
      */
-    async detect(imagePath, options = {}) {
+    async detect(input, options = {}) {
         const grouped = options.grouped !== false;
+        const trace = options.debug ? { lines: [] } : undefined;
         
-        const lineImages = await this.#detection.run(imagePath, options);
-        const texts = await this.#recognition.run(lineImages, options);
+        const { texts, correction = null, image } = options.regions
+            ? await this.#readRegions(input, { ...options, trace })
+            : await this.#readPage(input, { ...options, trace });
         
         const individualElements = texts
             .filter(item => item?.text && item.text.trim().length > 0)
-            .map(item => ({
-                text: item.text.trim(),
-                confidence: item.mean,
-                frame: this.extractFrameFromBox(item.box),
-                box: item.box
-            }));
+            .map(item => this.#toElement(item));
 
         const result = {
             totalElements: individualElements.length,
             data: individualElements
         };
 
+        if (correction) {
+            result.correction = correction;
+        }
+
         if (grouped) {
             const groups = groupTextElements(individualElements, this.#groupingConfig);
             const paragraphs = groups.map(createParagraph);
@@ -733,9 +2523,97 @@ class Ocr {
             result.paragraphs = paragraphs;
         }
 
+        if (options.layout) {
+            result.blocks = analyzeLayout(individualElements, this.#layoutConfig);
+        }
+
+        if (options.tables) {
+            // Ruling lines are found on the image the elements' coordinates refer to
+            const rulings = options.tables.rulingLines
+                ? findRulingLines(image, Math.max(2, Math.round(
+                    Math.max(image.width, image.height) * this.#tablesConfig.RULING_MIN_LENGTH_RATIO)))
+                : null;
+            result.tables = findTables(individualElements, this.#tablesConfig, rulings);
+        }
+
+        if (trace) {
+            const debug = await renderDebug({ ...trace, image }, result);
+            result.debug = options.debug.outputDir ? await writeDebug(debug, options.debug.outputDir) : debug;
+        }
+
         return result;
     }
 
+    /**
+     * Recognize a region known to hold a single line of text, such as a form
+     * field, without running detection
+     * @param {string|Buffer|Readable|Object|ImageRaw} input - Same inputs as detect
+     * @param {Object} options - Recognition options, plus:
+     * @param {Object} options.region - `{ left, top, width, height }` in input pixels (default: whole image)
+     * @param {string} options.allowedChars - Only these characters may be recognized
+     * @param {string|RegExp} options.pattern - The whole text has to match this
+     * @returns {Promise<Object|null>} A text element as in detect's `data`, or null
+     *   when nothing was read above the confidence threshold
+     */
+    async recognizeRegion(input, options = {}) {
+        const image = await ImageRaw.from(input);
+        const { left = 0, top = 0, width = image.width - left, height = image.height - top } = options.region ?? {};
+        checkRegion({ left, top, width, height }, image);
+
+        const box = [[left, top], [left + width, top], [left + width, top + height], [left, top + height]];
+        let lineImages = [{ box, ...getRotateCropImage(image, box) }];
+        if (this.#classification) {
+            lineImages = await this.#classification.run(lineImages, options);
+        }
+
+        const [item] = await Recognition.runMultiple(this.#recognitions, lineImages, options);
+        return item?.text ? this.#toElement(item) : null;
+    }
+
+    /**
+     * Read the named fields of a form laid out by a template
+     * @param {string|Buffer|Readable|Object|ImageRaw} input - Same inputs as detect
+     * @param {string|Object} template - Path to a JSON template, or the template itself:
+     *   `{ fields: [{ name, left, top, width, height, allowedChars?, pattern? }] }` with
+     *   positions as fractions of the page size
+     * @param {Object} options - detect options
+     * @returns {Promise<Object>} `{ [name]: { text, confidence, box } }`; fields with
+     *   no text get `{ text: '', confidence: 0, box: null }`
+     */
+    async extractFields(input, template, options = {}) {
+        const { fields } = await loadTemplate(template);
+        const image = await ImageRaw.from(input);
+        const regions = templateToRegions(fields, image.width, image.height);
+        const { data } = await this.detect(image, { ...options, regions, grouped: false });
+        return Object.fromEntries(fields.map(({ name }) => [
+            name,
+            mergeFieldElements(data.filter(el => el.region === name), this.#groupingConfig)
+        ]));
+    }
+
+    /**
+     * Detect and recognize text on every page of a multi-page document. Pages
+     * are decoded and processed one at a time to keep memory bounded.
+     * @param {string|Buffer|Readable|Object|ImageRaw} input - Multi-page TIFF/GIF/WebP, PDF,
+     *   or any single image accepted by detect
+     * @param {Object} options - Detection options, plus:
+     * @param {number[]} options.pages - Zero-based page indices to process (default: all)
+     * @param {number} options.dpi - PDF rasterization resolution (default: 200)
+     * @returns {Promise<Object[]>} One OCR result per page, with `page`, `width` and `height`
+     */
+    async detectPages(input, options = {}) {
+        const results = [];
+        for await (const page of openPages(input, options)) {
+            // Each page's debug images go to their own directory
+            const debug = options.debug?.outputDir
+                ? { ...options.debug, outputDir: path.join(options.debug.outputDir, `page-${page.index}`) }
+                : options.debug;
+            const result = await this.detect(page.image, { ...options, debug });
+            results.push({ page: page.index, width: page.width, height: page.height, ...result });
+        }
+        return results;
+    }
+
     /**
      * Update grouping configuration
      * @param {Object} config - New grouping configuration
@@ -752,6 +2630,40 @@ class Ocr {
         return { ...this.#groupingConfig };
     }
 
+    /**
+     * Create an instance sharing this one's loaded models, without loading anything
+     * @param {Object} options
+     * @param {string[]} options.languages - Subset of this instance's languages to read
+     *   (default: all of them). The other options are Ocr.create detection options
+     *   (detectionThreshold, unclipRatio, minBoxSize...) replacing this instance's values.
+     * @returns {Ocr} The new instance
+     */
+    derive({ languages, ...detectionOptions } = {}) {
+        for (const name of Object.keys(detectionOptions)) {
+            invariant(Object.hasOwn(DERIVED_DETECTION_OPTIONS, name),
+                `derive can't change ${name}. It takes languages, ${Object.keys(DERIVED_DETECTION_OPTIONS).join(', ')}`);
+        }
+        const detection = Object.keys(detectionOptions).length
+            ? this.#detection.reconfigure(Object.fromEntries(Object.entries(detectionOptions)
+                .map(([name, value]) => [DERIVED_DETECTION_OPTIONS[name], value])))
+            : this.#detection;
+        const recognitions = languages?.map(code => {
+            const recognition = this.#recognitions.find(r => r.language === code);
+            invariant(recognition, `${code} isn't loaded. Loaded: ${this.#recognitions.map(r => r.language).join(', ')}`);
+            return recognition;
+        }) ?? this.#recognitions;
+        invariant(recognitions.length > 0, 'languages must be a non-empty array of language codes');
+
+        return new Ocr({
+            detection,
+            classification: this.#classification,
+            recognitions,
+            groupingConfig: this.#groupingConfig,
+            layoutConfig: this.#layoutConfig,
+            tablesConfig: this.#tablesConfig
+        });
+    }
+
     /**
      * Get available languages
      * @returns {Object} Available languages with their configurations
@@ -760,6 +2672,146 @@ class Ocr {
         return { ...DEFAULT_CONFIG.RECOGNITION.LANGUAGES };
     }
 
+    /**
+     * Add a recognition language, or replace one, for instances created afterwards
+     * (and for OcrPool workers started afterwards)
+     * @param {string} code - Language code used with `language`/`languages`
+     * @param {Object} language - `{ model, dict, name, imageHeight, direction, vertical }`:
+     *   model and dictionary paths (or MODEL_REGISTRY names), display name, line height
+     *   the model expects, 'ltr' or 'rtl', and whether it's also written vertically
+     */
+    static registerLanguage(code, language) {
+        registerLanguage(code, language);
+    }
+
+    /**
+     * Register every language of a language-pack manifest,
+     * `{ languages: { [code]: { model, dict, ... } } }` as for registerLanguage
+     * @param {string|Object} manifest - Path to a JSON manifest (its paths are relative
+     *   to it), or the manifest itself
+     * @returns {Promise<string[]>} The registered codes
+     */
+    static async loadLanguagePack(manifest) {
+        return await loadLanguagePack(manifest);
+    }
+
+    /**
+     * Start an HTTP server that keeps OCR instances warm between requests.
+     * Endpoints: `POST /ocr`, `GET /languages`, `GET /health` and `GET /ready`.
+     * @param {Object} options - Ocr.create options, plus:
+     * @param {number} options.port - Port to listen on (default: 3000)
+     * @param {string} options.host - Interface to bind (default: all)
+     * @param {number} options.concurrency - OCR requests processed at the same time (default: 1)
+     * @param {number} options.maxQueue - Requests allowed to wait before getting 429 (default: 16)
+     * @param {number} options.maxBodySize - Largest accepted upload in bytes (default: 20 MB)
+     * @returns {Promise<http.Server>} The listening server
+     */
+    static async serve(options = {}) {
+        // Loaded on demand so the library itself doesn't depend on node:http
+        const { serve } = await import('./server.js');
+        return await serve(options);
+    }
+
+    /**
+     * Search detection, recognition and grouping parameters for the values that
+     * score best on a labeled dataset (see tune.js)
+     * @param {string|Object} dataset - Dataset directory, or the result of loadDataset
+     * @param {Object} options - Search space, strategy, metric and the `ocrOptions` to start from
+     * @returns {Promise<Object>} `{ options, best, baseline, trials, failures, metric }`
+     */
+    static async tune(dataset, options = {}) {
+        const { tune } = await import('./tune.js');
+        return await tune(dataset, options);
+    }
+
+    /**
+     * Map a box from a corrected (rotated/deskewed) result back to the
+     * coordinates it would have in the uncorrected image
+     * @param {number[][]} box - Polygon from a result element
+     * @param {Object} correction - `result.correction` from detect
+     * @returns {number[][]} Polygon in uncorrected image coordinates
+     */
+    static mapBoxToOriginal(box, correction) {
+        if (!correction) return box;
+        return box.map(point => applyAffine(point, correction.matrix));
+    }
+
+    async #readPage(input, options) {
+        // Decoded once: a stream can't be read again for the 180° re-run
+        const page = await ImageRaw.from(input);
+        let { lineImages, correction, image } = await this.#detection.run(page, options);
+        if (this.#classification) {
+            lineImages = await this.#classification.run(lineImages, options);
+            
+            // Most lines upside down means the whole page is: rotate it instead of each line
+            const flipped = lineImages.filter(li => li.angle === 180).length;
+            if (correction && this.#detection.autoRotate && flipped > lineImages.length / 2) {
+                const rotation = (correction.rotation + 180) % 360;
+                ({ lineImages, correction, image } = await this.#detection.run(page, { ...options, rotation }));
+                lineImages = await this.#classification.run(lineImages, options);
+            }
+        }
+        const texts = await Recognition.runMultiple(this.#recognitions, lineImages, options);
+        return { texts, correction, image };
+    }
+
+    /**
+     * Detect and recognize inside each region separately, moving the lines found
+     * in a region's crop back to image coordinates. A region's own
+     * `allowedChars`/`pattern` override the call's.
+     */
+    async #readRegions(input, { regions, trace, ...options }) {
+        invariant(Array.isArray(regions), 'regions must be an array of { name, left, top, width, height }');
+        const image = await ImageRaw.from(input);
+        regions.forEach(region => checkRegion(region, image));
+
+        const texts = [];
+        for (const region of regions) {
+            const { left, top, width, height } = region;
+            const crop = await extractTile(image, { left, top, width, height }, { width, height });
+            const { lineImages } = await this.#detection.run(crop, { ...options, correct: false });
+
+            const offset = [[1, 0, left], [0, 1, top], [0, 0, 1]];
+            let placed = lineImages.map(li => ({
+                ...li,
+                box: li.box.map(([x, y]) => [x + left, y + top]),
+                transform: multiplyHomography(offset, li.transform),
+                ...(li.column && { column: { ...li.column, transform: multiplyHomography(offset, li.column.transform) } })
+            }));
+            if (this.#classification) {
+                placed = await this.#classification.run(placed, options);
+            }
+
+            const lines = await Recognition.runMultiple(this.#recognitions, placed, {
+                ...options,
+                trace,
+                allowedChars: region.allowedChars ?? options.allowedChars,
+                pattern: region.pattern ?? options.pattern
+            });
+            texts.push(...lines.map(line => ({ ...line, ...(region.name !== undefined && { region: region.name }) })));
+        }
+        return { texts, image };
+    }
+
+    #toElement(item) {
+        return {
+            text: item.text.trim(),
+            confidence: item.mean,
+            frame: this.extractFrameFromBox(item.box),
+            box: item.box,
+            language: item.language,
+            direction: item.direction,
+            ...(item.rtl && { rtl: true }),
+            ...(item.region !== undefined && { region: item.region }),
+            ...(item.angle !== undefined && { angle: item.angle }),
+            ...(item.alternatives && { alternatives: item.alternatives }),
+            ...(item.unconstrained && { unconstrained: item.unconstrained }),
+            ...(item.matched !== undefined && { matched: item.matched }),
+            words: item.words.map(word => ({ ...word, frame: this.extractFrameFromBox(word.box) })),
+            chars: item.chars.map(char => ({ ...char, frame: this.extractFrameFromBox(char.box) }))
+        };
+    }
+
     extractFrameFromBox(box) {
         if (!box?.length) return { left: 0, top: 0, width: 0, height: 0 };
         const xs = box.map(p => p[0]);
@@ -778,4 +2830,8 @@ class Ocr {
 // =============================================================================
 
 export default Ocr;
-export { Ocr, DEFAULT_CONFIG };
\ No newline at end of file
+export {
+    Ocr, OcrPool, ImageRaw, DEFAULT_CONFIG, MissingModelsError, toHocr, toAlto, toPageXml, toText, toTsv, tableToCsv, tableToHtml,
+    toSearchablePdf, parseIcdarAnnotations, loadDataset, scoreResult, aggregateScores, evaluate, formatEvaluationReport,
+    groupTextElements, createParagraph
+};
\ No newline at end of file
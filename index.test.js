@@ -0,0 +1,100 @@
+// index.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import sharp from 'sharp';
+import Ocr, { ImageRaw, groupTextElements, createParagraph } from './index.js';
+
+describe('ImageRaw.fromPixels', () => {
+    it('accepts a plain array of bytes', async () => {
+        const image = await ImageRaw.fromPixels({ data: [255, 0, 0, 255, 0, 255, 0, 255], width: 2, height: 1 });
+        assert.deepEqual([...image.data], [255, 0, 0, 255, 0, 255, 0, 255]);
+    });
+
+    it('expands grayscale arrays to RGBA', async () => {
+        const image = await ImageRaw.fromPixels({ data: [0, 128], width: 2, height: 1, channels: 1 });
+        assert.deepEqual([image.width, image.height], [2, 1]);
+        assert.deepEqual([...image.data], [0, 0, 0, 255, 128, 128, 128, 255]);
+    });
+
+    it('reads a typed array view at its own offset', async () => {
+        const backing = new Uint8Array([9, 9, 1, 2, 3, 4]);
+        const image = await ImageRaw.fromPixels({ data: backing.subarray(2), width: 1, height: 1 });
+        assert.deepEqual([...image.data], [1, 2, 3, 4]);
+    });
+
+    it('rejects unsupported data with a clear message', async () => {
+        await assert.rejects(ImageRaw.fromPixels({ data: new Float32Array(4), width: 1, height: 1 }),
+            /Raw pixel data must be an array of bytes/);
+        await assert.rejects(ImageRaw.fromPixels({ data: [1, 2, 3], width: 1, height: 1 }),
+            /does not match 1x1x4/);
+    });
+});
+
+describe('Ocr.detect', () => {
+    it('reports boxes in input image pixels', async () => {
+        const ocr = await Ocr.create({ language: 'en' });
+        const { data } = await ocr.detect('./bs.jpeg');
+        assert.ok(data.length > 0);
+        const points = data.flatMap(element => element.box);
+        // bs.jpeg is 736x1081
+        assert.ok(points.every(([x, y]) => x >= 0 && x <= 736 && y >= 0 && y <= 1081));
+        assert.ok(Math.max(...points.map(([, y]) => y)) > 736, 'expected lines across the full page height');
+    });
+});
+
+describe('Ocr.detect with autoRotate and the angle classifier', () => {
+    it('turns an upside-down page read from a stream', async () => {
+        const ocr = await Ocr.create({ language: 'en', autoRotate: true, useAngleClassifier: true });
+        const upsideDown = await sharp('./bs.jpeg').rotate(180).jpeg().toBuffer();
+        const result = await ocr.detect(Readable.from([upsideDown]), { grouped: false });
+        assert.equal(result.correction.rotation, 180);
+        assert.ok(result.data.some(element => element.text === 'MOTIVATION'));
+    });
+});
+
+describe('Ocr#derive', () => {
+    it('shares the loaded languages and rejects others', async () => {
+        const ocr = await Ocr.create({ language: 'en' });
+        const derived = ocr.derive({ languages: ['en'] });
+        assert.ok(derived instanceof Ocr && derived !== ocr);
+        assert.throws(() => ocr.derive({ languages: ['ch'] }), /ch isn't loaded. Loaded: en/);
+        assert.throws(() => ocr.derive({ languages: [] }), /non-empty array/);
+    });
+
+    it('replaces detection settings without touching the original', async () => {
+        const ocr = await Ocr.create({ language: 'en' });
+        const before = (await ocr.detect('./bs.jpeg', { grouped: false })).totalElements;
+        const strict = ocr.derive({ detectionThreshold: 0.9, minBoxSize: 20 });
+        assert.ok((await strict.detect('./bs.jpeg', { grouped: false })).totalElements < before);
+        assert.equal((await ocr.detect('./bs.jpeg', { grouped: false })).totalElements, before);
+        assert.throws(() => ocr.derive({ confidenceThreshold: 0 }), /derive can't change confidenceThreshold/);
+        assert.throws(() => ocr.derive({ tileSize: 100, tileOverlap: 200 }), /Tile overlap \(200\)/);
+    });
+});
+
+describe('Ocr.create', () => {
+    it('rejects languages without a model before loading anything', async () => {
+        const options = { detectionModelPath: './missing-det.onnx', downloadModels: false };
+        await assert.rejects(Ocr.create({ ...options, language: 'ar' }), /Arabic has no bundled model/);
+        await assert.rejects(Ocr.create({ ...options, languages: ['en', 'xx'] }), /Unsupported language: xx/);
+    });
+});
+
+describe('groupTextElements', () => {
+    const element = (text, left, top) => ({
+        text, confidence: 0.9, direction: 'horizontal',
+        box: [[left, top], [left + 30, top], [left + 30, top + 20], [left, top + 20]],
+        frame: { left, top, width: 30, height: 20 }
+    });
+
+    it('chains right-to-left lines from their rightmost element', () => {
+        const paragraphs = groupTextElements([element('אחד', 10, 0), element('שני', 42, 0)]).map(createParagraph);
+        assert.deepEqual(paragraphs.map(paragraph => [paragraph.text, paragraph.rtl]), [['שני אחד', true]]);
+    });
+
+    it('chains left-to-right lines from their leftmost element', () => {
+        const paragraphs = groupTextElements([element('two', 42, 0), element('one', 10, 0)]).map(createParagraph);
+        assert.deepEqual(paragraphs.map(paragraph => [paragraph.text, paragraph.rtl]), [['one two', undefined]]);
+    });
+});
@@ -0,0 +1,136 @@
+// languages.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import invariant from 'tiny-invariant';
+import { MODEL_REGISTRY } from './models.js';
+
+// =============================================================================
+// LANGUAGES
+// =============================================================================
+
+/**
+ * Recognition languages by code. MODEL and DICT are MODEL_REGISTRY names or
+ * paths; languages added with registerLanguage or loadLanguagePack join the
+ * built-in ones here.
+ */
+const LANGUAGES = {
+    en: {
+        MODEL: 'en_PP-OCRv4_rec_infer.onnx',
+        DICT: 'en_dict.txt',
+        NAME: 'English'
+    },
+    ch: {
+        MODEL: 'ch_PP-OCRv4_rec_infer.onnx',
+        DICT: 'ch_dict.txt',
+        NAME: 'Chinese',
+        VERTICAL: true
+    },
+    ja: {
+        MODEL: 'japan_PP-OCRv3_rec_infer.onnx',
+        DICT: 'japan_dict.txt',
+        NAME: 'Japanese',
+        VERTICAL: true
+    },
+    ko: {
+        MODEL: 'ch_PP-OCRv4_rec_infer.onnx',
+        DICT: 'korean_dict.txt',
+        NAME: 'Korean',
+        VERTICAL: true
+    },
+    latin: {
+        MODEL: 'latin_PP-OCRv3_rec_infer.onnx',
+        DICT: 'latin_dict.txt',
+        NAME: 'Latin'
+    },
+    // No bundled models: pass recognitionModelPath and dictionaryPath, or register the language
+    ar: {
+        MODEL: null,
+        DICT: null,
+        NAME: 'Arabic',
+        RTL: true
+    },
+    fa: {
+        MODEL: null,
+        DICT: null,
+        NAME: 'Persian',
+        RTL: true
+    },
+    he: {
+        MODEL: null,
+        DICT: null,
+        NAME: 'Hebrew',
+        RTL: true
+    }
+};
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+/**
+ * Check a language description and turn it into a LANGUAGES entry
+ */
+function toLanguageConfig(code, { model, dict, name = code, imageHeight, direction = 'ltr', vertical = false } = {}) {
+    invariant(typeof code === 'string' && /^[A-Za-z][\w-]*$/.test(code),
+        `Language codes start with a letter and contain letters, digits, '_' or '-', got: ${code}`);
+    invariant(typeof model === 'string' && model, `Language ${code} needs a model path`);
+    invariant(typeof dict === 'string' && dict, `Language ${code} needs a dict path`);
+    invariant(imageHeight === undefined || (Number.isInteger(imageHeight) && imageHeight > 0),
+        `Language ${code}: imageHeight must be a positive integer, got: ${imageHeight}`);
+    invariant(direction === 'ltr' || direction === 'rtl', `Language ${code}: direction must be 'ltr' or 'rtl', got: ${direction}`);
+
+    return {
+        MODEL: model,
+        DICT: dict,
+        NAME: name,
+        ...(imageHeight && { IMAGE_HEIGHT: imageHeight }),
+        ...(vertical && { VERTICAL: true }),
+        ...(direction === 'rtl' && { RTL: true })
+    };
+}
+
+/**
+ * Add a recognition language, or replace one (e.g. to give `ar` a model)
+ * @param {string} code - Language code used with `language`/`languages`
+ * @param {Object} language
+ * @param {string} language.model - Recognition model path or MODEL_REGISTRY name
+ * @param {string} language.dict - Dictionary path or MODEL_REGISTRY name
+ * @param {string} language.name - Display name (default: the code)
+ * @param {number} language.imageHeight - Line height the model expects (default: 48)
+ * @param {string} language.direction - 'ltr' or 'rtl' (default: 'ltr')
+ * @param {boolean} language.vertical - Also written in vertical columns (see verticalText)
+ */
+function registerLanguage(code, language) {
+    LANGUAGES[code] = toLanguageConfig(code, language);
+}
+
+/**
+ * Register the languages of a language-pack manifest:
+ * `{ languages: { [code]: { model, dict, name?, imageHeight?, direction?, vertical? } } }`.
+ * Paths in a manifest file are relative to it; MODEL_REGISTRY names are kept
+ * as they are. Nothing is registered if any language is invalid.
+ * @param {string|Object} manifest - Path to a JSON manifest, or the manifest itself
+ * @returns {Promise<string[]>} The registered codes
+ */
+async function loadLanguagePack(manifest) {
+    const base = typeof manifest === 'string' ? path.dirname(path.resolve(manifest)) : process.cwd();
+    const pack = typeof manifest === 'string' ? JSON.parse(await fs.readFile(manifest, 'utf8')) : manifest;
+    invariant(pack?.languages && typeof pack.languages === 'object', 'A language pack needs a `languages` object');
+
+    const resolveFile = file => typeof file === 'string' && !Object.hasOwn(MODEL_REGISTRY, file)
+        ? path.resolve(base, file)
+        : file;
+    const configs = Object.entries(pack.languages).map(([code, language]) => [code, toLanguageConfig(code, {
+        ...language,
+        model: resolveFile(language?.model),
+        dict: resolveFile(language?.dict)
+    })]);
+    for (const [code, config] of configs) LANGUAGES[code] = config;
+    return configs.map(([code]) => code);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { LANGUAGES, registerLanguage, loadLanguagePack };
@@ -0,0 +1,179 @@
+// layout.js
+import { baseDirection } from './bidi.js';
+
+// =============================================================================
+// GEOMETRY HELPERS
+// =============================================================================
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function unionFrame(frames) {
+    const left = Math.min(...frames.map(f => f.left));
+    const top = Math.min(...frames.map(f => f.top));
+    const right = Math.max(...frames.map(f => f.left + f.width));
+    const bottom = Math.max(...frames.map(f => f.top + f.height));
+    return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Whitespace gaps of at least `minGap` between the merged `[start, end]` intervals
+ * @returns {{ start: number, end: number }[]} Gaps in ascending order
+ */
+function findGaps(intervals, minGap) {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    const gaps = [];
+    let end = sorted[0][1];
+    for (const [start, stop] of sorted.slice(1)) {
+        if (start - end >= minGap) gaps.push({ start: end, end: start });
+        end = Math.max(end, stop);
+    }
+    return gaps;
+}
+
+// =============================================================================
+// XY-CUT
+// =============================================================================
+
+/**
+ * Recursive XY-cut: split the elements in two at the whitespace gap across
+ * the region that stands out most relative to its threshold, vertical gaps
+ * (columns) winning ties, until no gap is wide enough. Cutting only at the
+ * widest gap keeps a header's gap from slicing columns into rows.
+ * @returns {Object} `{ elements }` for a leaf, otherwise `{ axis, children }`
+ */
+function xyCut(elements, thresholds) {
+    if (elements.length < 2) return { elements };
+
+    const xGaps = findGaps(elements.map(({ frame }) => [frame.left, frame.left + frame.width]), thresholds.column);
+    const yGaps = findGaps(elements.map(({ frame }) => [frame.top, frame.top + frame.height]), thresholds.paragraph);
+    if (!xGaps.length && !yGaps.length) return { elements };
+
+    const widest = gaps => gaps.reduce((best, gap) => gap.end - gap.start > best.end - best.start ? gap : best,
+        { start: 0, end: 0 });
+    const [xGap, yGap] = [widest(xGaps), widest(yGaps)];
+    const axis = (xGap.end - xGap.start) / thresholds.column >= (yGap.end - yGap.start) / thresholds.paragraph ? 'x' : 'y';
+    const cut = axis === 'x' ? xGap.end : yGap.end;
+    const start = axis === 'x' ? el => el.frame.left : el => el.frame.top;
+
+    const before = elements.filter(el => start(el) < cut);
+    const after = elements.filter(el => start(el) >= cut);
+    return { axis, children: [xyCut(before, thresholds), xyCut(after, thresholds)] };
+}
+
+// =============================================================================
+// BLOCKS
+// =============================================================================
+
+/**
+ * Gather a leaf's elements into lines: an element joins the line it overlaps
+ * vertically by at least half its height; lines read top to bottom, elements
+ * left to right, or right to left in lines of right-to-left text
+ */
+function toLines(elements) {
+    const lines = [];
+    for (const el of [...elements].sort((a, b) => a.frame.top - b.frame.top)) {
+        const line = lines.find(({ frame }) => {
+            const overlap = Math.min(frame.top + frame.height, el.frame.top + el.frame.height) - Math.max(frame.top, el.frame.top);
+            return overlap >= Math.min(frame.height, el.frame.height) / 2;
+        });
+        if (line) {
+            line.elements.push(el);
+            line.frame = unionFrame([line.frame, el.frame]);
+        } else {
+            lines.push({ elements: [el], frame: el.frame });
+        }
+    }
+
+    return lines
+        .sort((a, b) => a.frame.top - b.frame.top)
+        .map(({ elements: lineElements, frame }) => {
+            const rtl = baseDirection(lineElements.map(el => el.text).join(' ')) === 'rtl';
+            const right = el => el.frame.left + el.frame.width;
+            const sorted = lineElements.sort((a, b) => rtl ? right(b) - right(a) : a.frame.left - b.frame.left);
+            return {
+                text: sorted.map(el => el.text).join(' '),
+                confidence: sorted.reduce((sum, el) => sum + el.confidence, 0) / sorted.length,
+                boundingBox: frame,
+                ...(rtl && { rtl: true }),
+                elements: sorted
+            };
+        });
+}
+
+/**
+ * The language covering most of the elements' characters, if any is known
+ */
+function dominantLanguage(elements) {
+    const counts = new Map();
+    for (const el of elements) {
+        if (el.language) counts.set(el.language, (counts.get(el.language) ?? 0) + el.text.length);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+function toBlocks(node, context) {
+    if (node.elements) {
+        const lines = toLines(node.elements);
+        const lineHeight = median(lines.map(line => line.boundingBox.height));
+        const isHeader = lines.length <= context.config.HEADER_MAX_LINES
+            && lineHeight >= context.lineHeight * context.config.HEADER_HEIGHT_RATIO;
+        const language = dominantLanguage(node.elements);
+        return [{
+            type: isHeader ? 'header' : 'paragraph',
+            text: lines.map(line => line.text).join(' '),
+            confidence: node.elements.reduce((sum, el) => sum + el.confidence, 0) / node.elements.length,
+            boundingBox: unionFrame(lines.map(line => line.boundingBox)),
+            ...(language && { language }),
+            lines
+        }];
+    }
+
+    // Stacked regions continue the same sequence; side-by-side ones are columns,
+    // and a column split again side by side adds columns rather than nesting them
+    if (node.axis === 'y') return node.children.flatMap(child => toBlocks(child, context));
+    const columns = context.rtl ? [...node.children].reverse() : node.children;
+    return columns.flatMap(child => {
+        if (child.axis === 'x') return toBlocks(child, context);
+        const blocks = toBlocks(child, context);
+        return [{ type: 'column', boundingBox: unionFrame(blocks.map(b => b.boundingBox)), blocks }];
+    });
+}
+
+/**
+ * Lay out text elements as blocks in reading order. Columns are found with an
+ * XY-cut on the element frames and read left to right (right to left on a
+ * page of mostly right-to-left text), each top to bottom;
+ * the remaining blocks are paragraphs, or headers when their lines are much
+ * taller than the page's typical line.
+ * @param {Object[]} elements - Text elements with `frame`, `text` and `confidence`
+ * @param {Object} config - DEFAULT_CONFIG.LAYOUT-style thresholds
+ * @returns {Object[]} Blocks: `{ type: 'paragraph'|'header', text, confidence, boundingBox, language, lines }`
+ *   or `{ type: 'column', boundingBox, blocks }`
+ */
+function analyzeLayout(elements, config) {
+    if (!elements.length) return [];
+    const lineHeight = median(elements.map(el => el.frame.height)) || 1;
+    const thresholds = {
+        column: lineHeight * config.COLUMN_GAP_RATIO,
+        paragraph: lineHeight * config.PARAGRAPH_GAP_RATIO
+    };
+    const rtl = baseDirection(elements.map(el => el.text).join(' ')) === 'rtl';
+    return toBlocks(xyCut(elements, thresholds), { config, lineHeight, rtl });
+}
+
+/**
+ * The paragraph and header blocks of a layout, in reading order
+ */
+function flattenBlocks(blocks) {
+    return blocks.flatMap(block => block.type === 'column' ? flattenBlocks(block.blocks) : [block]);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { analyzeLayout, flattenBlocks, median, unionFrame, toLines };
@@ -0,0 +1,71 @@
+// layout.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeLayout, flattenBlocks, median, unionFrame, toLines } from './layout.js';
+import { DEFAULT_CONFIG } from './index.js';
+
+const element = (text, left, top, width = 180, height = 20) => ({ text, confidence: 0.9, frame: { left, top, width, height } });
+
+// A title across the page over two columns; the left one has two paragraphs
+const page = [
+    element('TITLE', 0, 0, 400, 40),
+    element('left one', 0, 60),
+    element('left two', 0, 82),
+    element('left three', 0, 122),
+    element('right one', 220, 60),
+    element('right two', 220, 82)
+];
+
+describe('analyzeLayout', () => {
+    it('finds the header, the columns and their paragraphs in reading order', () => {
+        const blocks = analyzeLayout(page, DEFAULT_CONFIG.LAYOUT);
+        assert.deepEqual(blocks.map(block => block.type), ['header', 'column', 'column']);
+        assert.equal(blocks[0].text, 'TITLE');
+        assert.deepEqual(blocks[1].blocks.map(block => block.text), ['left one left two', 'left three']);
+        assert.deepEqual(blocks[2].blocks.map(block => block.text), ['right one right two']);
+        assert.deepEqual(blocks[1].boundingBox, { left: 0, top: 60, width: 180, height: 82 });
+        assert.deepEqual(flattenBlocks(blocks).map(block => block.type), ['header', 'paragraph', 'paragraph', 'paragraph']);
+    });
+
+    it('reads the columns of a right-to-left page from the right', () => {
+        const rtl = page.map(el => ({ ...el, text: el.text.replace(/[a-z]+/gi, 'שלום') }));
+        const columns = analyzeLayout(rtl, DEFAULT_CONFIG.LAYOUT).filter(block => block.type === 'column');
+        assert.deepEqual(columns.map(column => column.boundingBox.left), [220, 0]);
+    });
+
+    it('keeps a page without gaps as one paragraph', () => {
+        const blocks = analyzeLayout(page.slice(1, 3), DEFAULT_CONFIG.LAYOUT);
+        assert.deepEqual(blocks.map(block => [block.type, block.text]), [['paragraph', 'left one left two']]);
+        assert.deepEqual(analyzeLayout([], DEFAULT_CONFIG.LAYOUT), []);
+    });
+
+    it('names the language covering most characters', () => {
+        const [block] = analyzeLayout([
+            { ...element('short', 0, 0), language: 'en' },
+            { ...element('much longer text', 0, 22), language: 'latin' }
+        ], DEFAULT_CONFIG.LAYOUT);
+        assert.equal(block.language, 'latin');
+    });
+});
+
+describe('toLines', () => {
+    it('joins elements overlapping vertically and orders them by direction', () => {
+        const lines = toLines([
+            element('world', 100, 2, 80),
+            element('hello', 0, 0, 80),
+            element('אחד', 0, 40, 80),
+            element('שני', 100, 41, 80)
+        ]);
+        assert.deepEqual(lines.map(line => [line.text, line.rtl]), [['hello world', undefined], ['שני אחד', true]]);
+        assert.deepEqual(lines[0].boundingBox, { left: 0, top: 0, width: 180, height: 22 });
+    });
+});
+
+describe('geometry helpers', () => {
+    it('takes medians and unions', () => {
+        assert.equal(median([3, 1, 2]), 2);
+        assert.equal(median([4, 1, 2, 3]), 2.5);
+        assert.deepEqual(unionFrame([{ left: 5, top: 5, width: 5, height: 5 }, { left: 0, top: 8, width: 2, height: 10 }]),
+            { left: 0, top: 5, width: 10, height: 13 });
+    });
+});
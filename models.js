@@ -0,0 +1,195 @@
+// models.js
+import { createHash, randomUUID } from 'node:crypto';
+import { createReadStream, createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+const PACKAGE_MODELS_DIR = fileURLToPath(new URL('./models/', import.meta.url));
+// The last release to publish the ONNX models in its tarball; jsDelivr serves them from npm
+const PACKAGE_MIRROR = 'https://cdn.jsdelivr.net/npm/multilingual-purejs-ocr@1.0.1/models/';
+
+/**
+ * Files that default configurations refer to by name, with their SHA-256 and
+ * where to download them when no mirror is configured. Dictionaries ship with
+ * the package, so they have no download source of their own.
+ */
+const MODEL_REGISTRY = {
+    'ch_PP-OCRv4_det_infer.onnx': {
+        sha256: 'd2a7720d45a54257208b1e13e36a8479894cb74155a5efe29462512d42f49da9',
+        url: `${PACKAGE_MIRROR}ch_PP-OCRv4_det_infer.onnx`
+    },
+    'ch_ppocr_mobile_v2.0_cls_infer.onnx': {
+        sha256: '491843a3c65de46295864c6815e41127eaa812c4dac1e19c6850ec49da9d3640',
+        url: 'https://cdn.jsdelivr.net/npm/@gutenye/ocr-models@1.4.2/assets/ch_ppocr_mobile_v2.0_cls_infer.onnx'
+    },
+    'ch_PP-OCRv4_rec_infer.onnx': {
+        sha256: '48fc40f24f6d2a207a2b1091d3437eb3cc3eb6b676dc3ef9c37384005483683b',
+        url: `${PACKAGE_MIRROR}ch_PP-OCRv4_rec_infer.onnx`
+    },
+    'en_PP-OCRv4_rec_infer.onnx': {
+        sha256: '5ca59a096cf493d5fd5044b9ccc1bdea9229fbcf656bd76040ff80a00201ee16',
+        url: `${PACKAGE_MIRROR}en_PP-OCRv4_rec_infer.onnx`
+    },
+    'japan_PP-OCRv3_rec_infer.onnx': {
+        sha256: '329eec1da950c729780712052b50aee602fadbdc985b7b4984394332a5cdd7e2',
+        url: `${PACKAGE_MIRROR}japan_PP-OCRv3_rec_infer.onnx`
+    },
+    'latin_PP-OCRv3_rec_infer.onnx': {
+        sha256: '4fd81948e80f385afc2a9410a51904b70b6ff6dae9e26c2fc54c4bc52d4124d6',
+        url: `${PACKAGE_MIRROR}latin_PP-OCRv3_rec_infer.onnx`
+    },
+    'ch_dict.txt': { sha256: '28b2362ad4ab2dc38769aa72feb535e3a9ddb3fd2a7585a05920e6393b1dc7f7' },
+    'en_dict.txt': { sha256: '6ea60ebdc81198a5e01720c8ce958f28b2296fbcab6e68cda5ab932bedda1443' },
+    'japan_dict.txt': { sha256: '254b5fbc90de741bccb55c98f551b42382aed14ecdf5c9d28bd73490e4119602' },
+    'korean_dict.txt': { sha256: '4aedd5f5302e0cfa6b23940566312cd29616639dee02715ebcb666a0e6cc2967' },
+    'latin_dict.txt': { sha256: '30ce787f62c89434c8d12d3a9b5b2edc9d5225275e8ca88be809c1f0bbb06aaa' }
+};
+
+/**
+ * Thrown when model files can't be found, verified or downloaded; `missing`
+ * lists each file with the reason
+ */
+class MissingModelsError extends Error {
+    constructor(missing, dirs) {
+        super([
+            'Missing OCR model files:',
+            ...missing.map(({ name, reason }) => `  ${name}: ${reason}`),
+            `Looked in: ${dirs.join(', ')}. Place the files there, or allow downloads (optionally from a modelMirror).`
+        ].join('\n'));
+        this.name = 'MissingModelsError';
+        this.missing = missing;
+    }
+}
+
+// =============================================================================
+// FILES
+// =============================================================================
+
+// Files already checked, with the size and mtime they had then
+const verified = new Map();
+// Downloads in progress by destination, shared by concurrent callers
+const downloads = new Map();
+
+async function statFile(file) {
+    try {
+        const stats = await fs.stat(file);
+        return stats.isFile() ? stats : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function fileSha256(file) {
+    const hash = createHash('sha256');
+    await pipeline(createReadStream(file), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Download `url` to `destination` through a temporary file, so an interrupted
+ * or corrupt download never takes the destination's place
+ */
+async function download(url, destination, { sha256, timeout }) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok || !response.body) throw new Error(`download from ${url} failed: HTTP ${response.status}`);
+
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    // Unique per call: worker threads share the process id
+    const partial = `${destination}.${randomUUID()}.download`;
+    const hash = createHash('sha256');
+    const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+    try {
+        await pipeline(Readable.fromWeb(response.body), hashing, createWriteStream(partial));
+        const actual = hash.digest('hex');
+        if (sha256 && actual !== sha256) throw new Error(`download from ${url} has SHA-256 ${actual}, expected ${sha256}`);
+        await fs.rename(partial, destination);
+    } catch (error) {
+        await fs.rm(partial, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Find a registry file in the package's models directory or the cache
+ * directory, downloading it into the cache when allowed
+ * @returns {Promise<string>} Path to the file
+ */
+async function locateModel(name, config) {
+    const entry = MODEL_REGISTRY[name];
+    for (const dir of [PACKAGE_MODELS_DIR, config.CACHE_DIR]) {
+        const file = path.join(dir, name);
+        const stats = await statFile(file);
+        if (!stats) continue;
+
+        const stamp = `${stats.size}:${stats.mtimeMs}`;
+        if (config.VERIFY && verified.get(file) !== stamp) {
+            const actual = await fileSha256(file);
+            if (actual !== entry.sha256) {
+                throw new Error(`${file} has SHA-256 ${actual}, expected ${entry.sha256}; replace or delete it`);
+            }
+            verified.set(file, stamp);
+        }
+        return file;
+    }
+
+    if (!config.DOWNLOAD) throw new Error('not found, and downloads are disabled');
+    const url = config.MIRROR ? new URL(name, config.MIRROR.replace(/\/?$/, '/')).href : entry.url;
+    if (!url) throw new Error('not found, and it has no download source');
+
+    const file = path.join(config.CACHE_DIR, name);
+    if (!downloads.has(file)) {
+        const pending = download(url, file, { sha256: config.VERIFY ? entry.sha256 : null, timeout: config.TIMEOUT })
+            .finally(() => downloads.delete(file));
+        downloads.set(file, pending);
+    }
+    await downloads.get(file);
+    return file;
+}
+
+/**
+ * Resolve model and dictionary paths. Names in MODEL_REGISTRY are looked up
+ * in the package's models directory, then in the cache directory, and
+ * downloaded into the cache (from the mirror if set) when missing; their
+ * SHA-256 is checked unless `VERIFY` is off. Anything else is a path and
+ * returned as is. Every file that can't be resolved is reported in a single
+ * MissingModelsError.
+ * @param {string[]} files - Registry names or paths
+ * @param {Object} config - DEFAULT_CONFIG.MODELS-style `{ CACHE_DIR, MIRROR, DOWNLOAD, VERIFY, TIMEOUT }`
+ * @returns {Promise<string[]>} Paths, in the order given
+ */
+async function resolveModels(files, config) {
+    const missing = [];
+    const paths = [];
+    for (const file of files) {
+        if (!Object.hasOwn(MODEL_REGISTRY, file)) {
+            paths.push(file);
+            continue;
+        }
+        try {
+            paths.push(await locateModel(file, config));
+        } catch (error) {
+            missing.push({ name: file, reason: error.message });
+        }
+    }
+    if (missing.length) throw new MissingModelsError(missing, [PACKAGE_MODELS_DIR, config.CACHE_DIR]);
+    return paths;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { MODEL_REGISTRY, MissingModelsError, resolveModels };
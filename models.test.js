@@ -0,0 +1,128 @@
+// models.test.js
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { MODEL_REGISTRY, MissingModelsError, resolveModels } from './models.js';
+
+const NAME = 'test-model.onnx';
+const CONTENT = Buffer.from('not really a model');
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+describe('resolveModels', () => {
+    // Serves CONTENT under /models/ and /mirror/, something else under /corrupt/, and 404 otherwise
+    let server, base, requests;
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            if (req.url === `/models/${NAME}` || req.url === `/mirror/${NAME}`) return res.end(CONTENT);
+            if (req.url === `/corrupt/${NAME}`) return res.end('tampered');
+            res.writeHead(404).end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    let cacheDir;
+    const config = overrides => ({ CACHE_DIR: cacheDir, MIRROR: null, DOWNLOAD: true, VERIFY: true, TIMEOUT: 5000, ...overrides });
+    beforeEach(async () => {
+        requests = [];
+        cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-models-'));
+        MODEL_REGISTRY[NAME] = { sha256: sha256(CONTENT), url: `${base}/models/${NAME}` };
+    });
+    afterEach(async () => {
+        delete MODEL_REGISTRY[NAME];
+        await fs.rm(cacheDir, { recursive: true, force: true });
+    });
+
+    it('downloads into the cache directory when the checksum matches', async () => {
+        const [file] = await resolveModels([NAME], config());
+        assert.equal(file, path.join(cacheDir, NAME));
+        assert.deepEqual(await fs.readFile(file), CONTENT);
+        assert.deepEqual(requests, [`/models/${NAME}`]);
+    });
+
+    it('rejects a download with the wrong checksum and leaves nothing behind', async () => {
+        MODEL_REGISTRY[NAME].url = `${base}/corrupt/${NAME}`;
+        const error = await resolveModels([NAME], config()).catch(error => error);
+        assert.ok(error instanceof MissingModelsError);
+        assert.equal(error.missing[0].name, NAME);
+        assert.match(error.missing[0].reason, new RegExp(`has SHA-256 ${sha256('tampered')}, expected ${sha256(CONTENT)}`));
+        assert.deepEqual(await fs.readdir(cacheDir), []);
+    });
+
+    it('downloads from the mirror instead of the usual source', async () => {
+        MODEL_REGISTRY[NAME].url = `${base}/gone/${NAME}`;
+        const [file] = await resolveModels([NAME], config({ MIRROR: `${base}/mirror` }));
+        assert.deepEqual(await fs.readFile(file), CONTENT);
+        assert.deepEqual(requests, [`/mirror/${NAME}`]);
+    });
+
+    it('reports a failed download with its HTTP status', async () => {
+        MODEL_REGISTRY[NAME].url = `${base}/gone/${NAME}`;
+        await assert.rejects(resolveModels([NAME], config()), /download from .*\/gone\/test-model.onnx failed: HTTP 404/);
+    });
+
+    it('reuses the cache directory and checks what is in it', async () => {
+        await resolveModels([NAME], config());
+        const [file] = await resolveModels([NAME], config({ DOWNLOAD: false }));
+        assert.equal(file, path.join(cacheDir, NAME));
+        assert.equal(requests.length, 1);
+
+        await fs.writeFile(file, 'tampered');
+        await assert.rejects(resolveModels([NAME], config()), /has SHA-256 .*; replace or delete it/);
+        assert.deepEqual(await resolveModels([NAME], config({ VERIFY: false })), [file]);
+        assert.equal(requests.length, 1);
+    });
+
+    it('lists every missing file in one error and passes other paths through', async () => {
+        MODEL_REGISTRY['other-model.onnx'] = { sha256: sha256(CONTENT) };
+        try {
+            const error = await resolveModels(['./custom.onnx', NAME, 'other-model.onnx'], config({ DOWNLOAD: false })).catch(error => error);
+            assert.deepEqual(error.missing.map(({ name, reason }) => [name, reason]), [
+                [NAME, 'not found, and downloads are disabled'],
+                ['other-model.onnx', 'not found, and downloads are disabled']
+            ]);
+            assert.match(error.message, new RegExp(`Looked in: .*${path.basename(cacheDir)}`));
+            assert.deepEqual(await resolveModels(['./custom.onnx'], config()), ['./custom.onnx']);
+        } finally {
+            delete MODEL_REGISTRY['other-model.onnx'];
+        }
+    });
+});
+
+describe('MODEL_REGISTRY defaults', () => {
+    const models = Object.keys(MODEL_REGISTRY).filter(name => name.endsWith('.onnx'));
+    const withCache = async run => {
+        const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-models-'));
+        try {
+            return await run({ CACHE_DIR: cacheDir, MIRROR: null, DOWNLOAD: false, VERIFY: true, TIMEOUT: 300_000 });
+        } finally {
+            await fs.rm(cacheDir, { recursive: true, force: true });
+        }
+    };
+
+    it('matches the dictionaries shipped in models/', async () => {
+        const dictionaries = Object.keys(MODEL_REGISTRY).filter(name => name.endsWith('.txt'));
+        const paths = await withCache(config => resolveModels(dictionaries, config));
+        assert.equal(paths.length, dictionaries.length);
+    });
+
+    it('downloads each model from a pinned package version', () => {
+        for (const name of models) {
+            const { sha256, url } = MODEL_REGISTRY[name];
+            assert.match(sha256, /^[0-9a-f]{64}$/, name);
+            assert.match(url, /^https:\/\/cdn\.jsdelivr\.net\/npm\/(@[\w-]+\/)?[\w-]+@\d+\.\d+\.\d+\//, name);
+            assert.equal(path.posix.basename(url), name);
+        }
+    });
+
+    // Fetches every default model, so it only runs when asked to
+    it('serves every model from its default source', { skip: !process.env.OCR_TEST_DOWNLOADS }, async () => {
+        await withCache(config => resolveModels(models, { ...config, DOWNLOAD: true }));
+    });
+});
@@ -0,0 +1,30 @@
+// pool-worker.js
+import { parentPort, workerData } from 'node:worker_threads';
+import Ocr from './index.js';
+import { LANGUAGES } from './languages.js';
+import { serializeError } from './pool.js';
+
+// Worker side of OcrPool: one OCR instance, one call at a time
+
+Object.assign(LANGUAGES, workerData.languages);
+
+let ocr;
+try {
+    ocr = await Ocr.create(workerData.ocrOptions);
+} catch (error) {
+    parentPort.postMessage({ type: 'init-error', error: serializeError(error) });
+    process.exit(1);
+}
+
+parentPort.on('message', async ({ type, id, input, options }) => {
+    try {
+        const result = type === 'detectPages'
+            ? await ocr.detectPages(input, options)
+            : await ocr.detect(input, options);
+        parentPort.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', id, error: serializeError(error) });
+    }
+});
+
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,280 @@
+// pool.js
+import os from 'node:os';
+import { Readable } from 'node:stream';
+import { Worker } from 'node:worker_threads';
+import invariant from 'tiny-invariant';
+// Keeps the native addon loaded while workers come and go: once the last thread
+// using it exits it can't register again, and replacement workers would fail to start
+import 'onnxruntime-node';
+import { LANGUAGES } from './languages.js';
+
+// =============================================================================
+// MESSAGE HELPERS
+// =============================================================================
+
+const WORKER_URL = new URL('./pool-worker.js', import.meta.url);
+
+function serializeError(error) {
+    return { name: error?.name ?? 'Error', message: error?.message ?? String(error), stack: error?.stack };
+}
+
+function deserializeError({ name, message, stack }) {
+    const error = new Error(message);
+    error.name = name;
+    if (stack) error.stack = stack;
+    return error;
+}
+
+function abortError(signal) {
+    return signal.reason ?? new DOMException('This operation was aborted', 'AbortError');
+}
+
+/**
+ * A Buffer/Uint8Array can be moved to a worker only if it owns its whole
+ * ArrayBuffer; small Node Buffers share a pooled one and must be copied
+ */
+function isTransferable(view) {
+    return view.byteOffset === 0 && view.byteLength === view.buffer.byteLength
+        && !(view.buffer instanceof SharedArrayBuffer);
+}
+
+/**
+ * Turn a detect input into something postMessage can carry, listing the
+ * buffers to transfer. ImageRaw and raw pixel objects become plain
+ * `{ data, width, height, channels }`; streams are read up front.
+ */
+async function toMessageInput(input) {
+    if (typeof input === 'string') return { input, transfer: [] };
+
+    if (input instanceof Readable || typeof input?.pipe === 'function') {
+        const chunks = [];
+        for await (const chunk of input) chunks.push(Buffer.from(chunk));
+        const buffer = Buffer.concat(chunks);
+        return { input: buffer, transfer: isTransferable(buffer) ? [buffer.buffer] : [] };
+    }
+
+    if (input instanceof Uint8Array) {
+        return { input, transfer: isTransferable(input) ? [input.buffer] : [] };
+    }
+
+    invariant(Array.isArray(input?.data) || ArrayBuffer.isView(input?.data),
+        'Unsupported image input: expected a file path, Buffer, Readable stream, raw pixel object or ImageRaw');
+    const { data, width, height, channels = 4 } = input;
+    // Plain arrays are structured-cloned
+    const transfer = !Array.isArray(data) && isTransferable(data) ? [data.buffer] : [];
+    return { input: { data, width, height, channels }, transfer };
+}
+
+// =============================================================================
+// OCR POOL
+// =============================================================================
+
+/**
+ * Runs `detect`/`detectPages` on a pool of worker threads, each holding its
+ * own OCR instance, so several images are processed in parallel and the
+ * calling thread's event loop stays free
+ */
+class OcrPool {
+    #ocrOptions;
+    #workers = [];
+    #queue = [];
+    #nextId = 0;
+    #destroyed = false;
+
+    /**
+     * Create a pool and wait until every worker has loaded its models
+     * @param {Object} options - Ocr.create options, plus:
+     * @param {number} options.workers - Number of worker threads (default: available CPU cores)
+     * @returns {Promise<OcrPool>}
+     */
+    static async create({ workers = os.availableParallelism?.() ?? os.cpus().length, ...ocrOptions } = {}) {
+        invariant(Number.isInteger(workers) && workers >= 1, `workers must be a positive integer, got: ${workers}`);
+
+        const pool = new OcrPool(ocrOptions);
+        try {
+            await Promise.all(Array.from({ length: workers }, () => pool.#spawn()));
+        } catch (error) {
+            await pool.destroy();
+            throw error;
+        }
+        return pool;
+    }
+
+    constructor(ocrOptions) {
+        this.#ocrOptions = ocrOptions;
+    }
+
+    /**
+     * Number of worker threads
+     */
+    get size() {
+        return this.#workers.length;
+    }
+
+    /**
+     * Detect and recognize text on a worker thread. Buffers and raw pixel data that
+     * own their whole ArrayBuffer are transferred, not copied, and can't be used
+     * by the caller afterwards.
+     * @param {string|Buffer|Readable|Object|ImageRaw} input - Same inputs as Ocr#detect
+     * @param {Object} options - Ocr#detect options, plus:
+     * @param {AbortSignal} options.signal - Cancels the call: a queued call is dropped,
+     *   a running one has its worker replaced
+     * @returns {Promise<Object>} Same result as Ocr#detect
+     */
+    async detect(input, options = {}) {
+        return await this.#submit('detect', input, options);
+    }
+
+    /**
+     * Multi-page counterpart of detect, see Ocr#detectPages
+     * @returns {Promise<Object[]>} One OCR result per page
+     */
+    async detectPages(input, options = {}) {
+        return await this.#submit('detectPages', input, options);
+    }
+
+    /**
+     * Terminate all workers. Calls still queued or running are rejected.
+     */
+    async destroy() {
+        this.#destroyed = true;
+        const error = new Error('OcrPool was destroyed');
+        for (const task of this.#queue.splice(0)) task.reject(error);
+        await Promise.all(this.#workers.splice(0).map(async slot => {
+            slot.task?.reject(error);
+            slot.task = null;
+            await slot.worker.terminate();
+        }));
+    }
+
+    async #submit(method, input, { signal, ...options } = {}) {
+        invariant(!this.#destroyed, 'OcrPool was destroyed');
+        signal?.throwIfAborted();
+        const message = await toMessageInput(input);
+        signal?.throwIfAborted();
+        // destroy may have run while a stream was being read
+        invariant(!this.#destroyed, 'OcrPool was destroyed');
+
+        return await new Promise((resolve, reject) => {
+            const task = { id: this.#nextId++, method, options, ...message, signal, resolve, reject };
+
+            if (signal) {
+                task.onAbort = () => this.#abort(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+                const settle = fn => value => {
+                    signal.removeEventListener('abort', task.onAbort);
+                    fn(value);
+                };
+                task.resolve = settle(resolve);
+                task.reject = settle(reject);
+            }
+
+            this.#queue.push(task);
+            this.#dispatch();
+        });
+    }
+
+    #abort(task) {
+        const queued = this.#queue.indexOf(task);
+        if (queued !== -1) {
+            this.#queue.splice(queued, 1);
+            task.reject(abortError(task.signal));
+            return;
+        }
+
+        // ONNX inference can't be interrupted, so stop the whole worker and start a fresh one
+        const slot = this.#workers.find(s => s.task === task);
+        if (!slot) return;
+        slot.task = null;
+        task.reject(abortError(task.signal));
+        this.#replace(slot);
+    }
+
+    #dispatch() {
+        for (const slot of this.#workers) {
+            if (!this.#queue.length) return;
+            if (!slot.ready || slot.task) continue;
+
+            const task = this.#queue.shift();
+            try {
+                slot.worker.postMessage(
+                    { type: task.method, id: task.id, input: task.input, options: task.options },
+                    task.transfer);
+                slot.task = task;
+            } catch (error) {
+                // e.g. options that can't be cloned
+                task.reject(error);
+            }
+        }
+    }
+
+    #spawn() {
+        // Workers start with the built-in languages only, so hand them the registered ones
+        const worker = new Worker(WORKER_URL, { workerData: { ocrOptions: this.#ocrOptions, languages: LANGUAGES } });
+        const slot = { worker, ready: false, task: null };
+        this.#workers.push(slot);
+
+        return new Promise((resolve, reject) => {
+            worker.on('message', message => {
+                if (message.type === 'ready') {
+                    slot.ready = true;
+                    resolve();
+                    this.#dispatch();
+                } else if (message.type === 'init-error') {
+                    reject(deserializeError(message.error));
+                } else if (slot.task?.id === message.id) {
+                    const task = slot.task;
+                    slot.task = null;
+                    if (message.type === 'result') task.resolve(message.result);
+                    else task.reject(deserializeError(message.error));
+                    this.#dispatch();
+                }
+            });
+
+            worker.on('error', error => {
+                if (!slot.ready) reject(error);
+                this.#fail(slot, error);
+            });
+
+            worker.on('exit', code => {
+                if (!slot.ready) reject(new Error(`OCR worker exited with code ${code} before loading`));
+                this.#fail(slot, new Error(`OCR worker exited with code ${code}`));
+            });
+        });
+    }
+
+    /**
+     * A worker died on its own: fail its call and put a new worker in its place
+     */
+    #fail(slot, error) {
+        const index = this.#workers.indexOf(slot);
+        if (index === -1) return;
+        slot.task?.reject(error);
+        slot.task = null;
+        if (slot.ready) this.#replace(slot);
+        else this.#workers.splice(index, 1);
+    }
+
+    #replace(slot) {
+        const index = this.#workers.indexOf(slot);
+        if (index !== -1) this.#workers.splice(index, 1);
+        slot.worker.removeAllListeners();
+        // Keep an 'error' listener: terminating can still emit one
+        slot.worker.on('error', () => {});
+        slot.worker.terminate();
+        if (this.#destroyed) return;
+
+        this.#spawn().catch(error => {
+            // Without a replacement, calls waiting for this slot would hang on an empty pool
+            if (!this.#workers.length) {
+                for (const task of this.#queue.splice(0)) task.reject(error);
+            }
+        });
+    }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { OcrPool, serializeError };
@@ -0,0 +1,68 @@
+// pool.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { OcrPool } from './pool.js';
+
+describe('OcrPool', () => {
+    let pool;
+    before(async () => {
+        pool = await OcrPool.create({ workers: 1, language: 'en' });
+    });
+    after(() => pool.destroy());
+
+    it('detects on a worker thread', async () => {
+        const result = await pool.detect('./bs.jpeg', { grouped: false });
+        assert.ok(result.totalElements > 0);
+        assert.equal(result.paragraphs, undefined);
+    });
+
+    it('rejects a call whose signal is already aborted', async () => {
+        await assert.rejects(pool.detect('./bs.jpeg', { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    });
+
+    it('drops an aborted call from the queue without touching the running one', async () => {
+        const running = pool.detect('./bs.jpeg');
+        const controller = new AbortController();
+        const queued = pool.detect('./bs.jpeg', { signal: controller.signal });
+        controller.abort(new Error('no longer needed'));
+        await assert.rejects(queued, /no longer needed/);
+        assert.ok((await running).totalElements > 0);
+    });
+
+    it('replaces the worker of an aborted running call', async () => {
+        const controller = new AbortController();
+        const running = pool.detect('./bs.jpeg', { signal: controller.signal });
+        const next = pool.detect('./bs.jpeg', { grouped: false });
+        // Let the first call reach the worker
+        await delay(50);
+        controller.abort();
+        await assert.rejects(running, { name: 'AbortError' });
+        // The queued call runs on the fresh worker
+        assert.ok((await next).totalElements > 0);
+        assert.equal(pool.size, 1);
+    });
+
+    it('reports errors from the worker', async () => {
+        await assert.rejects(pool.detect('./missing.png'), /missing\.png/);
+    });
+});
+
+describe('OcrPool#destroy', () => {
+    it('rejects queued and later calls', async () => {
+        const pool = await OcrPool.create({ workers: 1, language: 'en' });
+        const running = assert.rejects(pool.detect('./bs.jpeg'), /OcrPool was destroyed/);
+        await delay(50);
+        const queued = assert.rejects(pool.detect('./bs.jpeg'), /OcrPool was destroyed/);
+        await delay(10);
+        // Still reading its input when the pool goes
+        const starting = assert.rejects(pool.detect('./bs.jpeg'), /OcrPool was destroyed/);
+        await pool.destroy();
+        await Promise.all([running, queued, starting]);
+        await assert.rejects(pool.detect('./bs.jpeg'), /OcrPool was destroyed/);
+    });
+
+    it('rejects invalid worker counts', async () => {
+        await assert.rejects(OcrPool.create({ workers: 0 }), /workers must be a positive integer/);
+    });
+});
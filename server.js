@@ -0,0 +1,339 @@
+// server.js
+import http from 'node:http';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import Ocr, { DEFAULT_CONFIG } from './index.js';
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const SERVER_DEFAULTS = {
+    PORT: 3000,
+    CONCURRENCY: 1,
+    MAX_QUEUE: 16,
+    MAX_BODY_SIZE: 20 * 1024 * 1024,
+    RETRY_AFTER_SECONDS: 1
+};
+
+// =============================================================================
+// REQUEST QUEUE
+// =============================================================================
+
+class OverloadError extends Error {}
+
+/**
+ * Runs at most `concurrency` tasks at once and keeps up to `maxQueue` waiting;
+ * anything beyond that is rejected with an OverloadError
+ */
+class RequestQueue {
+    #waiting = [];
+
+    constructor({ concurrency, maxQueue }) {
+        this.concurrency = concurrency;
+        this.maxQueue = maxQueue;
+        this.active = 0;
+    }
+
+    get pending() {
+        return this.#waiting.length;
+    }
+
+    get isFull() {
+        return this.active >= this.concurrency && this.#waiting.length >= this.maxQueue;
+    }
+
+    async run(task) {
+        if (this.isFull) throw new OverloadError('Server is at capacity, retry later');
+        if (this.active >= this.concurrency) {
+            await new Promise(resolve => this.#waiting.push(resolve));
+        }
+
+        this.active++;
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            this.#waiting.shift()?.();
+        }
+    }
+}
+
+// =============================================================================
+// REQUEST PARSING
+// =============================================================================
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Parse a page list like "0,2-4" into [0, 2, 3, 4]; "all" selects every page.
+ * With a page count, out-of-range pages are rejected before ranges are expanded.
+ * @param {number} [pageCount] - Pages in the document
+ * @returns {number[]|undefined} Undefined for "all"
+ */
+function parsePageList(value, pageCount = Infinity) {
+    if (value === 'all') return undefined;
+    const ranges = value.split(',').map(part => {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(part.trim());
+        if (!match) throw new Error(`Expected page indices and ranges like 0,2-4, got: ${value}`);
+        const from = Number(match[1]);
+        const to = match[2] === undefined ? from : Number(match[2]);
+        if (to < from) throw new Error(`Page range ${part} is reversed`);
+        if (to >= pageCount) throw new Error(`Page ${to} is out of range: the document has ${pageCount} page(s)`);
+        return [from, to];
+    });
+    return ranges.flatMap(([from, to]) => Array.from({ length: to - from + 1 }, (_, i) => from + i));
+}
+
+function readBody(req, maxBodySize) {
+    const tooLarge = () => new HttpError(413, `Request body exceeds ${maxBodySize} bytes`);
+    if (Number(req.headers['content-length']) > maxBodySize) return Promise.reject(tooLarge());
+
+    // Stop reading, rather than destroying the request, so the 413 can still be sent
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                req.off('data', onData).pause();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.once('end', () => resolve(Buffer.concat(chunks)));
+        req.once('error', reject);
+    });
+}
+
+/**
+ * Pull the uploaded file out of a multipart/form-data body: the first part
+ * with a filename, or else one named "image" or "file"
+ */
+function extractMultipartFile(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundary) throw new HttpError(400, 'Multipart request without a boundary');
+    const delimiter = Buffer.from(`--${boundary[1] ?? boundary[2]}`);
+
+    const parts = [];
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            parts.push({
+                name: /name="([^"]*)"/i.exec(headers)?.[1],
+                filename: /filename="([^"]*)"/i.exec(headers)?.[1],
+                data: part.subarray(headerEnd + 4)
+            });
+        }
+        start = next;
+    }
+
+    const file = parts.find(p => p.filename) ?? parts.find(p => p.name === 'image' || p.name === 'file');
+    if (!file?.data.length) throw new HttpError(400, 'Multipart request without an "image" or "file" part');
+    return file.data;
+}
+
+/**
+ * Read `language`, `grouped` and `pages` from the query string
+ * @param {string[]} servedLanguages - Languages the server has loaded
+ */
+function parseOcrQuery(searchParams, servedLanguages) {
+    const languages = searchParams.get('language')?.split(',').map(code => code.trim()).filter(Boolean);
+    const unknown = languages?.filter(code => !servedLanguages.includes(code)) ?? [];
+    if (unknown.length) {
+        throw new HttpError(400, `Unsupported language: ${unknown.join(', ')}. Available: ${servedLanguages.join(', ')}`);
+    }
+
+    const grouped = searchParams.get('grouped');
+    if (grouped !== null && grouped !== 'true' && grouped !== 'false') {
+        throw new HttpError(400, `grouped must be true or false, got: ${grouped}`);
+    }
+
+    return { languages: languages?.length ? languages : undefined, grouped: grouped !== 'false', pages: searchParams.get('pages') };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    res.end(payload);
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Create an HTTP server around one warm OCR instance. It loads `languages`
+ * (or `language`) once; requests can pick a subset of them with the language
+ * parameter, sharing the loaded models, and any other language gets a 400.
+ * @param {Object} options - `Ocr.create` options, plus:
+ * @param {number} options.concurrency - OCR requests processed at the same time (default: 1)
+ * @param {number} options.maxQueue - Requests allowed to wait for a slot before 429 (default: 16)
+ * @param {number} options.maxBodySize - Largest accepted upload in bytes (default: 20 MB)
+ * @returns {http.Server} A server that isn't listening yet; `server.ready` resolves to
+ *   `{ status, error }` once the models have loaded or failed to
+ */
+function createOcrServer(options = {}) {
+    const {
+        concurrency = SERVER_DEFAULTS.CONCURRENCY,
+        maxQueue = SERVER_DEFAULTS.MAX_QUEUE,
+        maxBodySize = SERVER_DEFAULTS.MAX_BODY_SIZE,
+        // Only used by listen, kept out of Ocr.create
+        port, host,
+        ...ocrOptions
+    } = options;
+
+    const queue = new RequestQueue({ concurrency, maxQueue });
+    const state = { status: 'loading', error: null };
+    const languages = ocrOptions.languages ?? [ocrOptions.language || DEFAULT_CONFIG.RECOGNITION.DEFAULT_LANGUAGE];
+    let instance = null;
+
+    // Every load, the first or a retry, updates what /ready reports
+    const getOcr = () => {
+        if (!instance) {
+            state.status = 'loading';
+            instance = Ocr.create({ ...ocrOptions, languages });
+            instance.then(() => {
+                state.status = 'ready';
+                state.error = null;
+            }, error => {
+                state.status = 'error';
+                state.error = error.message;
+                // Forget a failed load so a later request can retry
+                instance = null;
+            });
+        }
+        return instance;
+    };
+
+    // Languages without a model of their own can only be read with a custom one
+    const describeLanguages = () => {
+        const available = Ocr.getAvailableLanguages();
+        return Object.fromEntries(languages
+            .filter(code => available[code]?.MODEL || ocrOptions.recognitionModelPath)
+            .map(code => [code, available[code]]));
+    };
+
+    const ready = getOcr().then(() => state, () => state);
+
+    async function handleOcr(req, res, searchParams) {
+        if (queue.isFull) throw new OverloadError('Server is at capacity, retry later');
+        const query = parseOcrQuery(searchParams, Object.keys(describeLanguages()));
+
+        const contentType = req.headers['content-type'] ?? '';
+        let body = await readBody(req, maxBodySize);
+        if (/^multipart\/form-data/i.test(contentType)) body = extractMultipartFile(body, contentType);
+        if (!body.length) throw new HttpError(400, 'Request body is empty: send an image or a multipart upload');
+
+        const isPdf = body.subarray(0, 5).toString('latin1') === '%PDF-';
+        if (isPdf && !query.pages) throw new HttpError(400, 'PDF uploads need a pages parameter, e.g. pages=all');
+        const pageCount = isPdf
+            ? await PDFDocument.load(body, { ignoreEncryption: true, updateMetadata: false })
+                .then(pdf => pdf.getPageCount(), error => {
+                    throw new HttpError(415, `Unsupported PDF: ${error.message}`);
+                })
+            : await sharp(body).metadata()
+                .then(metadata => metadata.pages ?? 1, error => {
+                    throw new HttpError(415, `Unsupported image: ${error.message}`);
+                });
+
+        // Checked against the upload, so a huge range is refused before it's expanded
+        let pages = null;
+        if (query.pages !== null) {
+            try {
+                pages = { pages: parsePageList(query.pages, pageCount) };
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+        }
+
+        const result = await queue.run(async () => {
+            const ocr = query.languages ? (await getOcr()).derive({ languages: query.languages }) : await getOcr();
+            return pages
+                ? await ocr.detectPages(body, { grouped: query.grouped, ...pages })
+                : await ocr.detect(body, { grouped: query.grouped });
+        });
+        sendJson(res, 200, result);
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'GET' && pathname === '/health') {
+                return sendJson(res, 200, { status: 'ok' });
+            }
+            if (req.method === 'GET' && pathname === '/ready') {
+                return sendJson(res, state.status === 'ready' ? 200 : 503, {
+                    status: state.status,
+                    ...(state.error && { error: state.error }),
+                    active: queue.active,
+                    queued: queue.pending
+                });
+            }
+            if (req.method === 'GET' && pathname === '/languages') {
+                return sendJson(res, 200, describeLanguages());
+            }
+            if (pathname === '/ocr') {
+                if (req.method !== 'POST') return sendJson(res, 405, { error: 'Use POST' }, { Allow: 'POST' });
+                return await handleOcr(req, res, searchParams);
+            }
+            sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+        } catch (error) {
+            if (error instanceof OverloadError) {
+                sendJson(res, 429, { error: error.message }, { 'Retry-After': String(SERVER_DEFAULTS.RETRY_AFTER_SECONDS) });
+            } else if (error instanceof HttpError && error.status === 413) {
+                // Close instead of draining the rest of an oversized upload
+                sendJson(res, 413, { error: error.message }, { Connection: 'close' });
+                return;
+            } else if (error instanceof HttpError) {
+                sendJson(res, error.status, { error: error.message });
+            } else {
+                sendJson(res, 500, { error: error.message });
+            }
+            // Drain an upload rejected before it was read so the connection can be reused
+            if (!req.complete) req.resume();
+        }
+    });
+
+    server.ready = ready;
+    return server;
+}
+
+/**
+ * Start an OCR HTTP server
+ * @param {Object} options - createOcrServer options, plus `port` (default: 3000) and `host`
+ * @returns {Promise<http.Server>} The listening server
+ */
+async function serve(options = {}) {
+    const server = createOcrServer(options);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port ?? SERVER_DEFAULTS.PORT, options.host, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+    return server;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { serve, createOcrServer, parsePageList, SERVER_DEFAULTS };
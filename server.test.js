@@ -0,0 +1,112 @@
+// server.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createOcrServer, parsePageList } from './server.js';
+import { DEFAULT_CONFIG } from './index.js';
+
+describe('OCR server', () => {
+    let server, base, image;
+    before(async () => {
+        image = await fs.readFile('./bs.jpeg');
+        server = createOcrServer({ language: 'en', concurrency: 1, maxQueue: 0 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        assert.equal((await server.ready).status, 'ready');
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const ocr = (query, body = image) => fetch(`${base}/ocr${query}`, { method: 'POST', body });
+
+    it('lists only the languages it loaded', async () => {
+        const response = await fetch(`${base}/languages`);
+        assert.deepEqual(Object.keys(await response.json()), ['en']);
+    });
+
+    it('reads an image', async () => {
+        const response = await ocr('?grouped=false');
+        assert.equal(response.status, 200);
+        const result = await response.json();
+        assert.ok(result.totalElements > 0);
+        assert.equal(result.paragraphs, undefined);
+    });
+
+    it('answers 400 for languages it did not load, before loading anything', async () => {
+        for (const language of ['ch', 'ar', 'xx']) {
+            const response = await ocr(`?language=${language}`);
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, new RegExp(`Unsupported language: ${language}. Available: en$`));
+        }
+    });
+
+    it('answers 400 for bad query values and empty bodies', async () => {
+        assert.equal((await ocr('?grouped=maybe')).status, 400);
+        assert.equal((await ocr('?pages=3-1')).status, 400);
+        assert.equal((await ocr('', Buffer.alloc(0))).status, 400);
+    });
+
+    it('answers 400 for pages past the end without expanding the range', async () => {
+        const response = await ocr('?pages=0-999999999');
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Page 999999999 is out of range: the document has 1 page\(s\)/);
+        assert.equal((await ocr('?pages=1')).status, 400);
+        assert.equal((await ocr('?pages=0')).status, 200);
+    });
+
+    it('answers 415 for bodies that are not images', async () => {
+        const response = await ocr('', Buffer.from('not an image'));
+        assert.equal(response.status, 415);
+        assert.match((await response.json()).error, /^Unsupported image/);
+    });
+
+    it('answers 429 with Retry-After once the queue is full', async () => {
+        const first = ocr('');
+        // Wait until the first request holds the only slot
+        while ((await (await fetch(`${base}/ready`)).json()).active === 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const second = await ocr('');
+        assert.equal(second.status, 429);
+        assert.equal(second.headers.get('retry-after'), '1');
+        assert.equal((await first).status, 200);
+    });
+});
+
+describe('OCR server readiness', () => {
+    it('becomes ready when a request retries a failed load', async () => {
+        const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-server-'));
+        const server = createOcrServer({ language: 'en', cacheDir, downloadModels: false });
+        try {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const base = `http://127.0.0.1:${server.address().port}`;
+            assert.equal((await server.ready).status, 'error');
+            assert.equal((await fetch(`${base}/ready`)).status, 503);
+
+            // The models turn up in the cache directory after the first attempt
+            for (const name of ['ch_PP-OCRv4_det_infer.onnx', 'en_PP-OCRv4_rec_infer.onnx']) {
+                await fs.symlink(path.join(DEFAULT_CONFIG.MODELS.CACHE_DIR, name), path.join(cacheDir, name));
+            }
+            const response = await fetch(`${base}/ocr`, { method: 'POST', body: await fs.readFile('./bs.jpeg') });
+            assert.equal(response.status, 200);
+
+            const ready = await fetch(`${base}/ready`);
+            assert.equal(ready.status, 200);
+            assert.deepEqual(await ready.json(), { status: 'ready', active: 0, queued: 0 });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            await fs.rm(cacheDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('parsePageList', () => {
+    it('expands indices and ranges', () => {
+        assert.deepEqual(parsePageList('0,2-4'), [0, 2, 3, 4]);
+        assert.equal(parsePageList('all'), undefined);
+        assert.throws(() => parsePageList('1,x'), /Expected page indices/);
+        assert.deepEqual(parsePageList('0-2', 3), [0, 1, 2]);
+        assert.throws(() => parsePageList('0,5-9', 5), /Page 9 is out of range: the document has 5 page\(s\)/);
+    });
+});
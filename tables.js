@@ -0,0 +1,336 @@
+// tables.js
+import { median, unionFrame, toLines } from './layout.js';
+
+// =============================================================================
+// GRID HELPERS
+// =============================================================================
+
+// Share of the narrower of a column and an element they must overlap by for the element to span it
+const SPAN_MIN_OVERLAP = 0.3;
+
+function frameCentre({ left, top, width, height }) {
+    return [left + width / 2, top + height / 2];
+}
+
+/**
+ * Merge sorted positions no further than `tolerance` apart into their mean
+ */
+function clusterPositions(values, tolerance) {
+    const clusters = [];
+    for (const value of [...values].sort((a, b) => a - b)) {
+        const last = clusters.at(-1);
+        if (last && value - last.at(-1) <= tolerance) last.push(value);
+        else clusters.push([value]);
+    }
+    return clusters.map(cluster => cluster.reduce((sum, v) => sum + v, 0) / cluster.length);
+}
+
+/**
+ * Index of the interval between consecutive `bounds` holding `value`, or -1
+ */
+function intervalIndex(bounds, value) {
+    if (value < bounds[0] || value > bounds.at(-1)) return -1;
+    const index = bounds.findIndex(bound => bound > value) - 1;
+    return index < 0 ? bounds.length - 2 : index;
+}
+
+function createCell(elements, boundingBox, rowSpan, colSpan) {
+    const lines = toLines(elements);
+    return {
+        text: lines.map(line => line.text).join(' '),
+        confidence: elements.length ? elements.reduce((sum, el) => sum + el.confidence, 0) / elements.length : 0,
+        rowSpan,
+        colSpan,
+        boundingBox,
+        elements: lines.flatMap(line => line.elements)
+    };
+}
+
+/**
+ * Turn grid lines and the spans found on them into a table. Positions covered
+ * by another cell's span are null; positions no span reached are empty cells.
+ * @param {number[]} xs - Column boundaries, left to right
+ * @param {number[]} ys - Row boundaries, top to bottom
+ * @param {Object[]} spans - `{ row, column, rowSpan, colSpan, elements }`
+ */
+function buildTable(xs, ys, spans, ruled) {
+    const [rows, columns] = [ys.length - 1, xs.length - 1];
+    const gridFrame = (row, column, rowSpan, colSpan) => ({
+        left: xs[column],
+        top: ys[row],
+        width: xs[column + colSpan] - xs[column],
+        height: ys[row + rowSpan] - ys[row]
+    });
+
+    const cells = Array.from({ length: rows }, () => Array(columns).fill(undefined));
+    for (const { row, column, rowSpan, colSpan, elements } of spans) {
+        for (let r = row; r < row + rowSpan; r++) cells[r].fill(null, column, column + colSpan);
+        cells[row][column] = createCell(elements, gridFrame(row, column, rowSpan, colSpan), rowSpan, colSpan);
+    }
+    cells.forEach((cellRow, r) => cellRow.forEach((cell, c) => {
+        if (cell === undefined) cellRow[c] = createCell([], gridFrame(r, c, 1, 1), 1, 1);
+    }));
+
+    return { boundingBox: gridFrame(0, 0, rows, columns), rows, columns, ruled, cells };
+}
+
+// =============================================================================
+// RULED TABLES
+// =============================================================================
+
+function linesCross(h, v, tolerance) {
+    return v.left - tolerance <= h.left + h.width && v.left + v.width + tolerance >= h.left
+        && h.top - tolerance <= v.top + v.height && h.top + h.height + tolerance >= v.top;
+}
+
+/**
+ * Group ruling lines into tables: lines crossing each other belong together,
+ * and a group with at least two horizontal and two vertical lines is a grid
+ */
+function groupRulings({ horizontal, vertical }, tolerance) {
+    const lines = [...horizontal.map(frame => ({ frame, horizontal: true })), ...vertical.map(frame => ({ frame, horizontal: false }))];
+    const parent = lines.map((_, i) => i);
+    const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+
+    horizontal.forEach((h, i) => vertical.forEach((v, j) => {
+        if (linesCross(h, v, tolerance)) parent[find(i)] = find(horizontal.length + j);
+    }));
+
+    const groups = new Map();
+    lines.forEach((line, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, { horizontal: [], vertical: [] });
+        groups.get(root)[line.horizontal ? 'horizontal' : 'vertical'].push(line.frame);
+    });
+    return [...groups.values()].filter(group => group.horizontal.length >= 2 && group.vertical.length >= 2);
+}
+
+/**
+ * Lay a grid over a group of ruling lines. Grid cells whose separating line is
+ * missing halfway along their shared edge are merged into one spanning cell.
+ */
+function ruledGrid({ horizontal, vertical }, tolerance) {
+    const ys = clusterPositions(horizontal.map(h => h.top + h.height / 2), tolerance);
+    const xs = clusterPositions(vertical.map(v => v.left + v.width / 2), tolerance);
+    const [rows, columns] = [ys.length - 1, xs.length - 1];
+
+    const hasVertical = (x, y) => vertical.some(v => Math.abs(v.left + v.width / 2 - x) <= tolerance
+        && v.top - tolerance <= y && v.top + v.height + tolerance >= y);
+    const hasHorizontal = (y, x) => horizontal.some(h => Math.abs(h.top + h.height / 2 - y) <= tolerance
+        && h.left - tolerance <= x && h.left + h.width + tolerance >= x);
+
+    const parent = Array.from({ length: rows * columns }, (_, i) => i);
+    const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+    const merge = (a, b) => { parent[find(b)] = find(a); };
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < columns; c++) {
+            if (c + 1 < columns && !hasVertical(xs[c + 1], (ys[r] + ys[r + 1]) / 2)) merge(r * columns + c, r * columns + c + 1);
+            if (r + 1 < rows && !hasHorizontal(ys[r + 1], (xs[c] + xs[c + 1]) / 2)) merge(r * columns + c, (r + 1) * columns + c);
+        }
+    }
+
+    // Each group of merged grid cells spans its bounding rectangle; a position
+    // already claimed by an earlier, irregular group stays with that one
+    const owners = Array.from({ length: rows }, () => Array(columns).fill(null));
+    const spans = [];
+    const extents = new Map();
+    for (let i = 0; i < rows * columns; i++) {
+        const [r, c] = [Math.floor(i / columns), i % columns];
+        const extent = extents.get(find(i)) ?? { top: r, left: c, bottom: r, right: c };
+        extent.bottom = Math.max(extent.bottom, r);
+        extent.left = Math.min(extent.left, c);
+        extent.right = Math.max(extent.right, c);
+        extents.set(find(i), extent);
+    }
+    for (const { top, left, bottom, right } of extents.values()) {
+        if (owners[top][left]) continue;
+        const span = { row: top, column: left, rowSpan: bottom - top + 1, colSpan: right - left + 1, elements: [] };
+        for (let r = top; r <= bottom; r++) {
+            for (let c = left; c <= right; c++) owners[r][c] ??= span;
+        }
+        spans.push(span);
+    }
+    return { xs, ys, spans, owners };
+}
+
+/**
+ * Tables drawn with ruling lines. Elements go to the cell holding their centre.
+ * @returns {{ tables: Object[], remaining: Object[] }} The tables, and the elements outside them
+ */
+function findRuledTables(elements, rulings, config) {
+    const tables = [];
+    let remaining = elements;
+
+    for (const group of groupRulings(rulings, config.RULING_TOLERANCE)) {
+        const { xs, ys, spans, owners } = ruledGrid(group, config.RULING_TOLERANCE);
+        if (ys.length - 1 < config.MIN_ROWS || xs.length - 1 < config.MIN_COLUMNS) continue;
+
+        const outside = [];
+        for (const el of remaining) {
+            const [x, y] = frameCentre(el.frame);
+            const [r, c] = [intervalIndex(ys, y), intervalIndex(xs, x)];
+            if (r === -1 || c === -1) outside.push(el);
+            else owners[r][c].elements.push(el);
+        }
+        // An empty grid is more likely a frame or form boxes than a table
+        if (outside.length === remaining.length) continue;
+
+        tables.push(buildTable(xs, ys, spans, true));
+        remaining = outside;
+    }
+    return { tables, remaining };
+}
+
+// =============================================================================
+// ALIGNED TABLES
+// =============================================================================
+
+/**
+ * Column separators of a table's elements: runs of x positions covered by at
+ * most `allowed` elements (cells spanning columns), at least `minGap` wide and
+ * inside the table, split at their least covered stretch
+ */
+function findColumnSeparators(elements, allowed, minGap) {
+    const edges = [...new Set(elements.flatMap(({ frame }) => [frame.left, frame.left + frame.width]))].sort((a, b) => a - b);
+    const segments = edges.slice(0, -1).map((start, i) => {
+        const middle = (start + edges[i + 1]) / 2;
+        const count = elements.filter(({ frame }) => frame.left < middle && frame.left + frame.width > middle).length;
+        return { start, end: edges[i + 1], count };
+    });
+
+    const separators = [];
+    let gap = [];
+    segments.forEach((segment, i) => {
+        if (segment.count <= allowed) gap.push(segment);
+        const closes = segment.count > allowed || i === segments.length - 1;
+        if (!closes) return;
+        // Low coverage at the table's edges is ragged alignment, not a column gap
+        const inside = gap.length && gap[0] !== segments[0] && segment.count > allowed;
+        if (inside && gap.at(-1).end - gap[0].start >= minGap) {
+            const lowest = Math.min(...gap.map(s => s.count));
+            const widest = gap.filter(s => s.count === lowest)
+                .reduce((best, s) => s.end - s.start > best.end - best.start ? s : best);
+            separators.push((widest.start + widest.end) / 2);
+        }
+        gap = [];
+    });
+    return separators;
+}
+
+/**
+ * First and last column an element covers enough of to span
+ */
+function columnRange(frame, xs) {
+    const covered = [];
+    for (let c = 0; c < xs.length - 1; c++) {
+        const overlap = Math.min(xs[c + 1], frame.left + frame.width) - Math.max(xs[c], frame.left);
+        if (overlap > 0 && overlap >= SPAN_MIN_OVERLAP * Math.min(xs[c + 1] - xs[c], frame.width)) covered.push(c);
+    }
+    if (!covered.length) {
+        const c = Math.max(0, intervalIndex(xs, frameCentre(frame)[0]));
+        return [c, c];
+    }
+    return [covered[0], covered.at(-1)];
+}
+
+/**
+ * Build a table from consecutive lines; null when too few columns line up
+ */
+function alignedTable(rows, lineHeight, config) {
+    const elements = rows.flatMap(row => row.elements);
+    const allowed = Math.floor(rows.length * config.SPANNING_ROWS_RATIO);
+    const separators = findColumnSeparators(elements, allowed, lineHeight * config.COLUMN_GAP_RATIO);
+    if (separators.length + 1 < config.MIN_COLUMNS) return null;
+
+    const frame = unionFrame(rows.map(row => row.boundingBox));
+    const xs = [frame.left, ...separators, frame.left + frame.width];
+    const ys = [
+        frame.top,
+        ...rows.slice(1).map(({ boundingBox }, i) => {
+            const above = rows[i].boundingBox;
+            return (above.top + above.height + boundingBox.top) / 2;
+        }),
+        frame.top + frame.height
+    ];
+
+    // Elements landing in a cell that's already taken join it
+    const owners = rows.map(() => Array(xs.length - 1).fill(null));
+    const spans = [];
+    rows.forEach((row, r) => {
+        for (const el of row.elements) {
+            const [first, last] = columnRange(el.frame, xs);
+            const owner = owners[r].slice(first, last + 1).find(Boolean);
+            if (owner) {
+                owner.elements.push(el);
+                continue;
+            }
+            const span = { row: r, column: first, rowSpan: 1, colSpan: last - first + 1, elements: [el] };
+            owners[r].fill(span, first, last + 1);
+            spans.push(span);
+        }
+    });
+    return buildTable(xs, ys, spans, false);
+}
+
+/**
+ * Tables without ruling lines: runs of close lines holding several elements
+ * each (a sparse line between two such lines stays in the run), whose
+ * elements line up in columns
+ */
+function findAlignedTables(elements, config) {
+    if (!elements.length) return [];
+    const lineHeight = median(elements.map(el => el.frame.height)) || 1;
+    const lines = toLines(elements);
+
+    const isRow = line => line.elements.length >= config.MIN_COLUMNS;
+    const follows = (above, line) => line.boundingBox.top - (above.boundingBox.top + above.boundingBox.height)
+        <= lineHeight * config.ROW_GAP_RATIO;
+
+    const runs = [];
+    let run = [];
+    lines.forEach((line, i) => {
+        const continues = run.length > 0 && follows(run.at(-1), line);
+        const next = lines[i + 1];
+        if (continues && (isRow(line) || (next && isRow(next) && follows(line, next)))) {
+            run.push(line);
+            return;
+        }
+        if (run.length) runs.push(run);
+        run = isRow(line) ? [line] : [];
+    });
+    if (run.length) runs.push(run);
+
+    return runs
+        .filter(rows => rows.length >= config.MIN_ROWS)
+        .map(rows => alignedTable(rows, lineHeight, config))
+        .filter(Boolean);
+}
+
+// =============================================================================
+// TABLES
+// =============================================================================
+
+/**
+ * Reconstruct tables from text elements. Grids drawn with ruling lines are
+ * used first when they're given; the remaining elements are searched for
+ * lines whose elements line up in columns.
+ * @param {Object[]} elements - Text elements with `frame`, `text` and `confidence`
+ * @param {Object} config - DEFAULT_CONFIG.TABLES-style thresholds
+ * @param {Object} rulings - `{ horizontal, vertical }` ruling line frames found on the image
+ * @returns {Object[]} Tables top to bottom: `{ boundingBox, rows, columns, ruled, cells }`,
+ *   with `cells[row][column]` a `{ text, confidence, rowSpan, colSpan, boundingBox, elements }`
+ *   cell, or null where another cell's span covers the position
+ */
+function findTables(elements, config, rulings = null) {
+    const { tables, remaining } = rulings
+        ? findRuledTables(elements, rulings, config)
+        : { tables: [], remaining: elements };
+    return [...tables, ...findAlignedTables(remaining, config)]
+        .sort((a, b) => a.boundingBox.top - b.boundingBox.top);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { findTables };
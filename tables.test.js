@@ -0,0 +1,97 @@
+// tables.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTables } from './tables.js';
+import { tableToCsv, tableToHtml } from './exporters.js';
+import { DEFAULT_CONFIG } from './index.js';
+
+const element = (text, left, top, width = 60, height = 20) => ({ text, confidence: 0.9, frame: { left, top, width, height } });
+const texts = table => table.cells.map(row => row.map(cell => cell?.text ?? null));
+
+// Rows 30px apart with columns at 0, 150 and 300
+const grid = rows => rows.flatMap((row, r) => row.map((text, c) => text && element(text, c * 150, r * 30)).filter(Boolean));
+
+describe('findTables without ruling lines', () => {
+    it('finds rows and columns of aligned elements', () => {
+        const tables = findTables(grid([['Item', 'Qty', 'Price'], ['Tea', '2', '3.00'], ['Cake', '1', '4.50']]), DEFAULT_CONFIG.TABLES);
+        assert.equal(tables.length, 1);
+        const [table] = tables;
+        assert.deepEqual([table.rows, table.columns, table.ruled], [3, 3, false]);
+        assert.deepEqual(texts(table), [['Item', 'Qty', 'Price'], ['Tea', '2', '3.00'], ['Cake', '1', '4.50']]);
+        assert.deepEqual(table.boundingBox, { left: 0, top: 0, width: 360, height: 80 });
+    });
+
+    it('spans a wide element over the columns it covers and leaves gaps empty', () => {
+        const elements = [
+            ...grid([['A', 'B', 'C'], ['D', null, 'F'], [], ['J', 'K', 'L']]),
+            element('wide total', 0, 60, 210)
+        ];
+        const [table] = findTables(elements, DEFAULT_CONFIG.TABLES);
+        assert.deepEqual(texts(table), [['A', 'B', 'C'], ['D', '', 'F'], ['wide total', null, ''], ['J', 'K', 'L']]);
+        assert.equal(table.cells[2][0].colSpan, 2);
+    });
+
+    it('ignores text that does not line up', () => {
+        const prose = [element('A sentence', 0, 0, 300), element('and another', 0, 30, 280)];
+        assert.deepEqual(findTables(prose, DEFAULT_CONFIG.TABLES), []);
+        assert.deepEqual(findTables([], DEFAULT_CONFIG.TABLES), []);
+    });
+});
+
+describe('findTables with ruling lines', () => {
+    const horizontal = y => ({ left: 0, top: y - 1, width: 300, height: 2 });
+    const vertical = (x, top = 0, bottom = 80) => ({ left: x - 1, top, width: 2, height: bottom - top });
+    const inCell = (text, column, row) => element(text, column * 150 + 20, row * 40 + 10, 40);
+
+    it('puts elements in the cells of a drawn grid', () => {
+        const rulings = { horizontal: [horizontal(0), horizontal(40), horizontal(80)], vertical: [vertical(0), vertical(150), vertical(300)] };
+        const elements = [inCell('a', 0, 0), inCell('b', 1, 0), inCell('c', 0, 1), inCell('d', 1, 1), element('below', 0, 200)];
+        const [table, ...rest] = findTables(elements, DEFAULT_CONFIG.TABLES, rulings);
+        assert.equal(rest.length, 0);
+        assert.equal(table.ruled, true);
+        assert.deepEqual(texts(table), [['a', 'b'], ['c', 'd']]);
+        assert.deepEqual(table.boundingBox, { left: 0, top: 0, width: 300, height: 80 });
+    });
+
+    it('merges cells whose separating line is missing', () => {
+        const rulings = { horizontal: [horizontal(0), horizontal(40), horizontal(80)], vertical: [vertical(0), vertical(150, 40), vertical(300)] };
+        const [table] = findTables([inCell('title', 0, 0), inCell('c', 0, 1), inCell('d', 1, 1)], DEFAULT_CONFIG.TABLES, rulings);
+        assert.deepEqual(texts(table), [['title', null], ['c', 'd']]);
+        assert.equal(table.cells[0][0].colSpan, 2);
+    });
+
+    it('skips empty grids', () => {
+        const rulings = { horizontal: [horizontal(0), horizontal(40), horizontal(80)], vertical: [vertical(0), vertical(150), vertical(300)] };
+        assert.deepEqual(findTables([element('outside', 0, 200)], DEFAULT_CONFIG.TABLES, rulings), []);
+    });
+});
+
+describe('table export', () => {
+    const rulings = {
+        horizontal: [0, 40, 80].map(y => ({ left: 0, top: y - 1, width: 300, height: 2 })),
+        vertical: [{ left: -1, top: 0, width: 2, height: 80 }, { left: 149, top: 40, width: 2, height: 40 }, { left: 299, top: 0, width: 2, height: 80 }]
+    };
+    const [table] = findTables([
+        element('Total, "net"', 20, 10, 40), element('<b>', 20, 50, 40), element('x', 170, 50, 40)
+    ], DEFAULT_CONFIG.TABLES, rulings);
+
+    it('writes CSV with quoting and empty spanned positions', () => {
+        assert.equal(tableToCsv(table), '"Total, ""net""",\n<b>,x\n');
+        assert.equal(tableToCsv(table, { delimiter: ';' }), '"Total, ""net""";\n<b>;x\n');
+    });
+
+    it('writes HTML with spans and escaped text', () => {
+        assert.equal(tableToHtml(table), [
+            '<table>',
+            '  <tr>',
+            '    <td colspan="2">Total, &quot;net&quot;</td>',
+            '  </tr>',
+            '  <tr>',
+            '    <td>&lt;b&gt;</td>',
+            '    <td>x</td>',
+            '  </tr>',
+            '</table>',
+            ''
+        ].join('\n'));
+    });
+});
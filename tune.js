@@ -0,0 +1,220 @@
+// tune.js
+import invariant from 'tiny-invariant';
+import Ocr, { DEFAULT_CONFIG, groupTextElements, createParagraph } from './index.js';
+import { loadDataset, scoreResult, aggregateScores } from './evaluate.js';
+
+// =============================================================================
+// SEARCH SPACE
+// =============================================================================
+
+/**
+ * Parameters the tuner can search and the values it tries by default, as
+ * `Ocr.create` option names (`grouping.*` inside `grouping`). Detection
+ * parameters take an OCR pass over the dataset per combination; the others
+ * are applied to the results of a pass, so trying more of them is cheap.
+ */
+const TUNING_PARAMETERS = {
+    detectionThreshold: { min: 0.05, max: 0.4, step: 0.05, detection: true, initial: () => DEFAULT_CONFIG.DETECTION.THRESHOLD },
+    unclipRatio: { min: 1.2, max: 2.4, step: 0.3, detection: true, initial: () => DEFAULT_CONFIG.DETECTION.UNCLIP_RATIO },
+    minBoxSize: { min: 1, max: 9, step: 2, detection: true, initial: () => DEFAULT_CONFIG.DETECTION.MIN_BOX_SIZE },
+    confidenceThreshold: { min: 0.3, max: 0.9, step: 0.1, initial: () => DEFAULT_CONFIG.RECOGNITION.CONFIDENCE_THRESHOLD },
+    'grouping.VERTICAL_THRESHOLD_RATIO': { min: 0.6, max: 2.4, step: 0.3, initial: () => DEFAULT_CONFIG.GROUPING.VERTICAL_THRESHOLD_RATIO },
+    'grouping.HORIZONTAL_THRESHOLD_RATIO': { min: 1, max: 4, step: 0.5, initial: () => DEFAULT_CONFIG.GROUPING.HORIZONTAL_THRESHOLD_RATIO },
+    'grouping.MIN_OVERLAP_RATIO': { min: 0.1, max: 0.7, step: 0.1, initial: () => DEFAULT_CONFIG.GROUPING.MIN_OVERLAP_RATIO },
+    'grouping.MAX_VERTICAL_OFFSET_RATIO': { min: 0.2, max: 1, step: 0.2, initial: () => DEFAULT_CONFIG.GROUPING.MAX_VERTICAL_OFFSET_RATIO }
+};
+
+// Metrics that are better lower; the others are maximized
+const MINIMIZED_METRICS = new Set(['cer', 'wer']);
+const METRICS = ['f1', 'precision', 'recall', 'cer', 'wer'];
+
+const isGroupingParameter = name => name.startsWith('grouping.');
+
+function getOption(options, name) {
+    return name.split('.').reduce((value, key) => value?.[key], options);
+}
+
+function withOptions(options, parameters) {
+    const result = { ...options };
+    for (const [name, value] of Object.entries(parameters)) {
+        const [key, nested] = name.split('.');
+        if (nested) result[key] = { ...result[key], [nested]: value };
+        else result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * The values tried for a parameter: a list as given, or `min` to `max` by `step`
+ */
+function parameterValues(name, spec) {
+    if (Array.isArray(spec)) {
+        invariant(spec.length && spec.every(Number.isFinite), `${name}: expected a list of numbers`);
+        return spec;
+    }
+    const { min, max, step } = spec ?? {};
+    invariant([min, max, step].every(Number.isFinite) && step > 0 && max >= min,
+        `${name}: expected { min, max, step } with step > 0 and max >= min`);
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => Number((min + i * step).toFixed(6)));
+}
+
+/**
+ * Seeded PRNG (mulberry32), so random searches can be repeated
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Every combination of the values (grid), or `trials` distinct ones drawn at random
+ */
+function candidatesOf(values, { strategy, trials, seed }) {
+    const names = Object.keys(values);
+    if (strategy === 'grid') {
+        return names.reduce((combinations, name) => combinations.flatMap(combination =>
+            values[name].map(value => ({ ...combination, [name]: value }))), [{}]);
+    }
+
+    const size = names.reduce((product, name) => product * values[name].length, 1);
+    const random = createRandom(seed);
+    const candidates = new Map();
+    while (candidates.size < Math.min(trials, size)) {
+        const candidate = Object.fromEntries(names.map(name => [name, values[name][Math.floor(random() * values[name].length)]]));
+        candidates.set(JSON.stringify(candidate), candidate);
+    }
+    return [...candidates.values()];
+}
+
+// =============================================================================
+// TUNING
+// =============================================================================
+
+/**
+ * A detect result as a trial's confidence threshold and grouping would have
+ * produced it, from a pass run with every line kept
+ */
+function applyTrial(result, { confidenceThreshold, grouping }, grouped) {
+    const data = result.data.filter(element => element.confidence >= confidenceThreshold);
+    // Kept so that scoring maps the boxes of rotated or deskewed pages back onto the image
+    const { correction } = result;
+    return grouped
+        ? { data, paragraphs: groupTextElements(data, grouping).map(createParagraph), correction }
+        : { data, correction };
+}
+
+const isBetter = (metric, a, b) => MINIMIZED_METRICS.has(metric) ? a < b : a > b;
+
+/**
+ * Search detection, recognition and grouping parameters for the values that
+ * score best on a labeled dataset (see evaluate). The current values (from
+ * `ocrOptions`, else the defaults) are scored first and are kept on ties.
+ * @param {string|Object} dataset - Dataset directory, or the result of loadDataset
+ * @param {Object} options
+ * @param {Object} options.ocrOptions - `Ocr.create` options the trials start from (language, models...)
+ * @param {string[]} options.parameters - Parameters to search (default: detectionThreshold, unclipRatio,
+ *   minBoxSize and confidenceThreshold, plus the grouping ratios at the paragraph level)
+ * @param {Object} options.space - Values per parameter, a list or `{ min, max, step }` (see TUNING_PARAMETERS)
+ * @param {string} options.strategy - 'random' (default) or 'grid'
+ * @param {number} options.trials - Combinations drawn by the random search (default: 40)
+ * @param {number} options.seed - Random search seed (default: 1)
+ * @param {string} options.metric - f1, precision or recall (maximized), cer or wer (minimized) (default: 'f1')
+ * @param {string} options.level - 'line', 'word' or 'paragraph' (default: 'line'); grouping
+ *   parameters only make a difference at the paragraph level
+ * @param {number} options.iouThreshold - See scoreResult
+ * @param {boolean} options.ignoreCase - See scoreResult
+ * @param {string} options.groundTruthDir - See loadDataset
+ * @param {Function} options.onTrial - Called with each trial as it is scored
+ * @returns {Promise<Object>} `{ options, best, baseline, trials, failures, metric }`, where
+ *   `options` are `ocrOptions` with the best values, ready for `Ocr.create`, and each trial is
+ *   `{ parameters, score, metrics }`
+ */
+async function tune(dataset, {
+    ocrOptions = {}, parameters, space = {}, strategy = 'random', trials = 40, seed = 1, metric = 'f1',
+    level = 'line', iouThreshold = 0.5, ignoreCase = false, groundTruthDir, onTrial
+} = {}) {
+    parameters ??= Object.keys(TUNING_PARAMETERS).filter(name => level === 'paragraph' || !isGroupingParameter(name));
+    invariant(METRICS.includes(metric), `metric must be one of ${METRICS.join(', ')}, got: ${metric}`);
+    invariant(strategy === 'grid' || strategy === 'random', `strategy must be 'grid' or 'random', got: ${strategy}`);
+    invariant(Number.isInteger(trials) && trials > 0, `trials must be a positive integer, got: ${trials}`);
+    invariant(parameters.length, 'parameters must name at least one parameter');
+    for (const name of parameters) {
+        invariant(Object.hasOwn(TUNING_PARAMETERS, name),
+            `Unknown parameter ${name}. Available: ${Object.keys(TUNING_PARAMETERS).join(', ')}`);
+        invariant(level === 'paragraph' || !isGroupingParameter(name), `${name} only makes a difference with level 'paragraph'`);
+    }
+
+    const { images, skipped } = typeof dataset === 'string' ? await loadDataset(dataset, { groundTruthDir }) : dataset;
+    invariant(images.length, 'The dataset has no images with ground truth');
+
+    // Every trial sets all tuned and post-processing values, so none falls back to another trial's
+    const current = name => getOption(ocrOptions, name) ?? TUNING_PARAMETERS[name].initial();
+    const fixed = withOptions({}, Object.fromEntries(Object.keys(TUNING_PARAMETERS)
+        .filter(name => !TUNING_PARAMETERS[name].detection && !parameters.includes(name))
+        .map(name => [name, current(name)])));
+    const values = Object.fromEntries(parameters.map(name => [name, parameterValues(name, space[name] ?? TUNING_PARAMETERS[name])]));
+    const baseline = Object.fromEntries(parameters.map(name => [name, current(name)]));
+    const baselineKey = JSON.stringify(baseline);
+    const candidates = new Map([baseline, ...candidatesOf(values, { strategy, trials, seed })]
+        .map(candidate => [JSON.stringify(candidate), candidate]));
+
+    // One OCR pass per combination of detection parameters, keeping every line
+    const detectionParameters = parameters.filter(name => TUNING_PARAMETERS[name].detection);
+    const passes = new Map();
+    for (const candidate of candidates.values()) {
+        const key = JSON.stringify(detectionParameters.map(name => candidate[name]));
+        if (!passes.has(key)) passes.set(key, []);
+        passes.get(key).push(candidate);
+    }
+
+    // Models are loaded once; each pass only swaps in its detection parameters
+    const base = await Ocr.create({ ...ocrOptions, confidenceThreshold: 0 });
+    const results = [], failures = [...skipped];
+    let best = null;
+    for (const group of passes.values()) {
+        const ocr = base.derive(Object.fromEntries(detectionParameters.map(name => [name, group[0][name]])));
+        const pages = [];
+        for (const image of images) {
+            try {
+                pages.push({ image, result: await ocr.detect(image.file, { grouped: false }) });
+            } catch (error) {
+                if (!failures.some(failure => failure.file === image.file)) failures.push({ file: image.file, error });
+            }
+        }
+
+        for (const candidate of group) {
+            const settings = withOptions(fixed, candidate);
+            const scores = pages.map(({ image, result }) => ({
+                language: image.language,
+                ...scoreResult(applyTrial(result, settings, level === 'paragraph'), image.regions, { iouThreshold, level, ignoreCase })
+            }));
+            const { total } = aggregateScores(scores);
+            const trial = { parameters: candidate, score: total[metric], metrics: total };
+            results.push(trial);
+            if (!best || isBetter(metric, trial.score, best.score)) best = trial;
+            await onTrial?.(trial);
+        }
+    }
+
+    return {
+        metric,
+        options: withOptions(ocrOptions, best.parameters),
+        best,
+        baseline: results.find(trial => JSON.stringify(trial.parameters) === baselineKey),
+        trials: results,
+        failures
+    };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { TUNING_PARAMETERS, tune };
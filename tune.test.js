@@ -0,0 +1,56 @@
+// tune.test.js
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import Ocr from './index.js';
+import { tune } from './tune.js';
+
+describe('tune', () => {
+    // bs.jpeg turned a quarter clockwise, labeled with the upright page's lines turned the same way
+    let dataset;
+    before(async () => {
+        const ocr = await Ocr.create({ language: 'en' });
+        const { data } = await ocr.detect('./bs.jpeg', { grouped: false });
+        const { height } = await sharp('./bs.jpeg').metadata();
+        const regions = data.map(element => ({
+            points: element.box.map(([x, y]) => [height - y, x]),
+            text: element.text,
+            dontCare: false
+        }));
+        dataset = { images: [{ file: await sharp('./bs.jpeg').rotate(90).png().toBuffer(), name: 'bs', language: 'en', regions }], skipped: [] };
+    });
+
+    it('loads the models once and scores rotated pages on the image as stored', async () => {
+        const create = Ocr.create;
+        let creates = 0;
+        Ocr.create = options => {
+            creates++;
+            return create.call(Ocr, options);
+        };
+        try {
+            const trials = [];
+            const result = await tune(dataset, {
+                ocrOptions: { language: 'en', autoRotate: true },
+                parameters: ['detectionThreshold', 'confidenceThreshold'],
+                space: { detectionThreshold: [0.2, 0.4], confidenceThreshold: [0.5] },
+                strategy: 'grid',
+                onTrial: trial => trials.push(trial)
+            });
+            assert.equal(creates, 1);
+            // The defaults (0.1 and 0.5) and the grid
+            assert.equal(result.trials.length, 3);
+            assert.deepEqual(trials, result.trials);
+            assert.equal(result.failures.length, 0);
+            assert.ok(result.best.metrics.matched > dataset.images[0].regions.length / 2,
+                `only ${result.best.metrics.matched} of ${dataset.images[0].regions.length} lines matched`);
+            assert.equal(result.options.autoRotate, true);
+            assert.equal(result.options.detectionThreshold, result.best.parameters.detectionThreshold);
+        } finally {
+            Ocr.create = create;
+        }
+    });
+
+    it('rejects unknown parameters', async () => {
+        await assert.rejects(tune(dataset, { parameters: ['threshold'] }), /Unknown parameter threshold/);
+    });
+});
@@ -3,6 +3,8 @@
 // Generated to provide TypeScript support for the pure JavaScript implementation.
 
 import { InferenceSession, Tensor } from 'onnxruntime-node';
+import { Readable } from 'node:stream';
+import { Server } from 'node:http';
 
 // =============================================================================
 // Core Interfaces
@@ -17,27 +19,204 @@ export interface Box {
 
 export type Polygon = number[][]; // Array of [x, y] points, e.g., [[x1, y1], [x2, y2], ...]
 
-export interface TextElement {
+/** A word or character located within a text element */
+export interface TextGlyph {
   text: string;
   confidence: number;
   frame: Box;
-  box: Polygon;
+  box: Polygon; // Starts at the glyph's top-left in reading direction
+}
+
+export interface TextElement {
+  text: string;
+  confidence: number;
+  frame: Box; // Input image pixels (the corrected page with autoRotate/deskew)
+  box: Polygon; // Input image pixels (the corrected page with autoRotate/deskew)
+  language: SupportedLanguage; // Recognizer that produced the text
+  direction: TextDirection; // 'vertical' when read as a column of stacked characters
+  rtl?: boolean; // Mostly right-to-left text; text, words and chars are in logical order either way
+  region?: string; // Name of the DetectOptions region the element was found in
+  angle?: 0 | 180; // Rotation applied by the angle classifier (present when enabled)
+  words: TextGlyph[]; // Space-separated words of `text`
+  chars: TextGlyph[]; // One entry per character of `text`, spaces included
+  alternatives?: TextAlternative[]; // Top readings, best first (decoder: 'beam' only)
+  unconstrained?: { text: string; confidence: number }; // Reading without allowedChars/pattern (present when given)
+  matched?: boolean; // Whether `text` matches `pattern` (present when given)
+}
+
+/** A named field of a form template, positioned as fractions (0-1) of the page size */
+export interface TemplateField {
+  name: string;
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+  allowedChars?: string;
+  pattern?: string;
+}
+
+export interface FormTemplate {
+  fields: TemplateField[];
+}
+
+export interface FieldResult {
+  text: string; // Lines joined with newlines; '' when nothing was read
+  confidence: number;
+  box: Polygon | null;
+}
+
+/** A candidate reading from the beam-search decoder */
+export interface TextAlternative {
+  text: string;
+  score: number; // Log probability plus lexicon and language model bias; higher is better
+}
+
+/** Character n-gram language model trained on user text */
+export interface LanguageModelOptions {
+  corpus: string | string[]; // Training text, one line per entry or newline-separated
+  order?: number; // n-gram length (default: 3)
 }
 
 export interface Paragraph {
   text: string;
   confidence: number;
-  boundingBox: Box;
+  boundingBox: Box; // Input image pixels, like TextElement.frame
+  language?: SupportedLanguage; // Language covering most of the paragraph's characters
+  direction?: TextDirection; // Vertical paragraphs list their columns right to left
+  rtl?: boolean; // Right-to-left paragraphs list each line's elements right to left
   elements: TextElement[];
 }
 
+export type TextDirection = 'horizontal' | 'vertical';
+
+/** 2x3 affine matrix [[a, b, c], [d, e, f]] */
+export type AffineMatrix = number[][];
+
+export interface PageCorrection {
+  rotation: 0 | 90 | 180 | 270; // Clockwise quarter-turn applied to the page
+  skew: number; // Additional clockwise degrees applied to straighten lines
+  angle: number; // rotation + skew
+  matrix: AffineMatrix; // Maps corrected coordinates back to the uncorrected image
+}
+
 export interface OCRResult {
   totalElements: number;
   data: TextElement[];
   totalParagraphs?: number;
   paragraphs?: Paragraph[];
+  blocks?: LayoutBlock[]; // Present with DetectOptions.layout, in reading order
+  tables?: Table[]; // Present with DetectOptions.tables, top to bottom
+  correction?: PageCorrection; // Present when autoRotate or deskew is enabled
+  debug?: DebugImages | DebugFiles; // Present with DetectOptions.debug
+}
+
+export interface DebugCrop<Image> {
+  text: string;
+  confidence: number;
+  accepted: boolean; // false when under the confidence threshold (not in `data`)
+  box: Polygon;
+  language: string;
+  image: Image; // The line crop the recognizer read
+}
+
+/** PNG buffers; heatmap and mask are null when reading regions, paragraphs without grouping */
+export interface DebugImages {
+  overlay: Buffer; // Every line with its text and confidence; rejected ones dashed
+  heatmap: Buffer | null; // Detection probability map
+  mask: Buffer | null; // Thresholded map with its contours and the boxes kept
+  paragraphs: Buffer | null; // Paragraph boundaries
+  crops: DebugCrop<Buffer>[];
+}
+
+/** DebugImages written to DetectOptions.debug.outputDir, as file paths */
+export interface DebugFiles {
+  overlay: string;
+  heatmap: string | null;
+  mask: string | null;
+  paragraphs: string | null;
+  crops: DebugCrop<string>[];
+}
+
+export interface LayoutLine {
+  text: string;
+  confidence: number;
+  boundingBox: Box;
+  rtl?: boolean; // Mostly right-to-left text
+  elements: TextElement[]; // Left to right, or right to left when `rtl`
+}
+
+export interface TextBlock {
+  type: 'paragraph' | 'header';
+  text: string;
+  confidence: number;
+  boundingBox: Box; // Input image pixels, like TextElement.frame
+  language?: SupportedLanguage; // Language covering most of the block's characters
+  lines: LayoutLine[]; // Top to bottom
+}
+
+export interface ColumnBlock {
+  type: 'column';
+  boundingBox: Box;
+  blocks: LayoutBlock[];
+}
+
+export type LayoutBlock = TextBlock | ColumnBlock;
+
+export interface TableCell {
+  text: string; // '' for an empty cell
+  confidence: number;
+  rowSpan: number;
+  colSpan: number;
+  boundingBox: Box;
+  elements: TextElement[]; // In reading order
+}
+
+export interface Table {
+  boundingBox: Box;
+  rows: number;
+  columns: number;
+  ruled: boolean; // Found from ruling lines rather than alignment
+  cells: (TableCell | null)[][]; // [row][column]; null where another cell's span covers it
+}
+
+export interface PageResult extends OCRResult {
+  page: number; // Zero-based page index
+  width: number; // Page width in pixels
+  height: number; // Page height in pixels
+}
+
+// =============================================================================
+// Image Input
+// =============================================================================
+
+export interface RawImageData {
+  data: number[] | Uint8Array | Uint8ClampedArray | Buffer; // Byte values, `channels` per pixel
+  width: number;
+  height: number;
+  channels?: 1 | 2 | 3 | 4; // Defaults to 4 (RGBA)
 }
 
+declare class ImageRaw {
+  data: Buffer | Uint8Array;
+  width: number;
+  height: number;
+
+  constructor(imageRawData: { data: Buffer | Uint8Array; width: number; height: number });
+
+  resize(size: { width?: number; height?: number }): Promise<ImageRaw>;
+
+  static open(filePath: string | Buffer | Uint8Array): Promise<ImageRaw>;
+
+  static from(input: ImageInput): Promise<ImageRaw>;
+
+  static fromPixels(raw: RawImageData): Promise<ImageRaw>;
+}
+
+export { ImageRaw };
+
+/** File path, encoded image Buffer, Readable stream of an encoded image, raw pixels or ImageRaw */
+export type ImageInput = string | Buffer | Uint8Array | Readable | RawImageData | ImageRaw;
+
 // =============================================================================
 // Configuration Interfaces
 // =============================================================================
@@ -53,6 +232,34 @@ export interface OnnxOptions {
   interOpNumThreads?: number;
 }
 
+/** Layout analysis thresholds, as multiples of the median line height */
+export interface LayoutConfig {
+  COLUMN_GAP_RATIO: number;
+  PARAGRAPH_GAP_RATIO: number;
+  HEADER_HEIGHT_RATIO: number;
+  HEADER_MAX_LINES: number;
+}
+
+/** Table reconstruction thresholds; ratios are multiples of the median line height */
+export interface TablesConfig {
+  MIN_ROWS: number;
+  MIN_COLUMNS: number;
+  ROW_GAP_RATIO: number; // Largest gap between consecutive rows
+  COLUMN_GAP_RATIO: number; // Narrowest gap between columns
+  SPANNING_ROWS_RATIO: number; // Share of rows allowed to span a column gap
+  RULING_MIN_LENGTH_RATIO: number; // Shortest ruling line, as a share of the longer image side
+  RULING_TOLERANCE: number; // Pixels ruling lines may miss each other by
+}
+
+/** Where default model and dictionary names (see MODEL_REGISTRY in models.js) resolve */
+export interface ModelsConfig {
+  CACHE_DIR: string; // Searched after the package's models directory; downloads go here
+  MIRROR: string | null; // Base URL to download from instead of each file's usual source
+  DOWNLOAD: boolean; // Download missing files
+  VERIFY: boolean; // Check SHA-256 checksums
+  TIMEOUT: number; // Milliseconds allowed per download
+}
+
 export interface GroupingConfig {
   VERTICAL_THRESHOLD_RATIO: number;
   HORIZONTAL_THRESHOLD_RATIO: number;
@@ -61,19 +268,44 @@ export interface GroupingConfig {
 }
 
 export interface LanguageConfig {
-  MODEL: string;
-  DICT: string;
+  MODEL: string | null; // Path or model registry name; null: no bundled model, pass recognitionModelPath and dictionaryPath
+  DICT: string | null;
   NAME: string;
+  IMAGE_HEIGHT?: number; // Line height the model expects (default: RECOGNITION.IMAGE_HEIGHT)
+  VERTICAL?: boolean; // Also written in vertical columns (see OcrOptions.verticalText)
+  RTL?: boolean; // Written right to left
 }
 
-export type SupportedLanguage = 'en' | 'ch' | 'ja' | 'ko' | 'latin';
+/** A language for Ocr.registerLanguage or a language pack */
+export interface LanguageDefinition {
+  model: string; // Recognition model path or model registry name
+  dict: string; // Dictionary path or model registry name
+  name?: string; // Display name (default: the code)
+  imageHeight?: number; // Line height the model expects (default: 48)
+  direction?: 'ltr' | 'rtl';
+  vertical?: boolean; // Also written in vertical columns
+}
 
+/** Language-pack manifest; in a manifest file, paths are relative to the file */
+export interface LanguagePack {
+  languages: Record<string, LanguageDefinition>;
+}
+
+export type SupportedLanguage = Extract<keyof RecognitionLanguages, string>;
+
+/**
+ * Languages by code. Declare registered languages here to use their codes:
+ * `declare module 'multilingual-purejs-ocr' { interface RecognitionLanguages { ru: LanguageConfig } }`
+ */
 export interface RecognitionLanguages {
   en: LanguageConfig;
   ch: LanguageConfig;
   ja: LanguageConfig;
   ko: LanguageConfig;
   latin: LanguageConfig;
+  ar: LanguageConfig;
+  fa: LanguageConfig;
+  he: LanguageConfig;
 }
 
 export interface DetectionConfig {
@@ -84,6 +316,14 @@ export interface DetectionConfig {
   UNCLIP_RATIO: number;
   BASE_SIZE: number;
   MAX_IMAGE_SIZE: number;
+  AUTO_ROTATE: boolean;
+  DESKEW: boolean;
+  MIN_SKEW_ANGLE: number;
+  MAX_SKEW_ANGLE: number;
+  ORIENTATION_MIN_ASPECT: number;
+  TILING: boolean;
+  TILE_SIZE: number;
+  TILE_OVERLAP: number;
   ONNX_OPTIONS: OnnxOptions;
 }
 
@@ -93,19 +333,46 @@ export interface RecognitionConfig {
   IMAGE_HEIGHT: number;
   CONFIDENCE_THRESHOLD: number;
   REMOVE_DUPLICATE_CHARS: boolean;
+  BATCH_SIZE: number;
   IGNORED_TOKENS: number[];
+  DECODER: 'greedy' | 'beam';
+  BEAM_WIDTH: number;
+  ALTERNATIVES: number;
+  LEXICON_WEIGHT: number;
+  LANGUAGE_MODEL_WEIGHT: number;
+  LANGUAGE_MODEL_ORDER: number;
   ONNX_OPTIONS: OnnxOptions;
 }
 
+export interface ClassificationConfig {
+  MODEL_PATH: string;
+  THRESHOLD: number;
+  IMAGE_HEIGHT: number;
+  IMAGE_WIDTH: number;
+  BATCH_SIZE: number;
+  LABELS: number[];
+  ONNX_OPTIONS: OnnxOptions;
+}
+
+export interface PagesConfig {
+  PDF_DPI: number;
+}
+
 export interface DefaultConfig {
   DETECTION: DetectionConfig;
   RECOGNITION: RecognitionConfig;
+  CLASSIFICATION: ClassificationConfig;
+  PAGES: PagesConfig;
   GROUPING: GroupingConfig;
+  LAYOUT: LayoutConfig;
+  TABLES: TablesConfig;
+  MODELS: ModelsConfig;
 }
 
 export interface OcrOptions {
   // Language
   language?: SupportedLanguage;
+  languages?: SupportedLanguage[];
 
   // Detection
   detectionThreshold?: number;
@@ -114,26 +381,101 @@ export interface OcrOptions {
   unclipRatio?: number;
   baseSize?: number;
   maxImageSize?: number;
+  autoRotate?: boolean;
+  deskew?: boolean;
+  tiling?: boolean;
+  tileSize?: number;
+  tileOverlap?: number;
   detectionModelPath?: string;
 
   // Recognition
   confidenceThreshold?: number;
   imageHeight?: number;
   removeDuplicateChars?: boolean;
+  recognitionBatchSize?: number;
+  decoder?: 'greedy' | 'beam';
+  beamWidth?: number;
+  alternatives?: number; // Readings listed per element with decoder: 'beam' (0 to omit)
+  lexicon?: string[]; // Words to favour with decoder: 'beam'
+  lexiconWeight?: number;
+  languageModel?: LanguageModelOptions;
+  languageModelWeight?: number;
   recognitionModelPath?: string;
   dictionaryPath?: string;
 
+  verticalText?: boolean; // Also read tall lines as vertical columns (ch, ja, ko or a custom model)
+
+  // Angle classification
+  useAngleClassifier?: boolean;
+  clsModelPath?: string;
+  clsThreshold?: number;
+
   // Grouping
   grouping?: Partial<GroupingConfig>;
+  layout?: Partial<LayoutConfig>;
+  tables?: Partial<TablesConfig>;
 
   // ONNX
   detectionOnnxOptions?: Partial<OnnxOptions>;
   recognitionOnnxOptions?: Partial<OnnxOptions>;
+  clsOnnxOptions?: Partial<OnnxOptions>;
+
+  // Default models
+  cacheDir?: string; // Where missing default models are looked for and downloaded to
+  modelMirror?: string; // Base URL to download default models from
+  downloadModels?: boolean; // Download missing default models (default: true)
+  verifyModels?: boolean; // Check default models' SHA-256 checksums (default: true)
+}
+
+/** Ocr#derive options: languages already loaded, and detection settings to replace */
+export interface DeriveOptions extends Pick<OcrOptions,
+  'detectionThreshold' | 'minBoxSize' | 'maxBoxSize' | 'unclipRatio' | 'maxImageSize' |
+  'autoRotate' | 'deskew' | 'tiling' | 'tileSize' | 'tileOverlap'> {
+  languages?: SupportedLanguage[];
+}
+
+/** A rectangle to read, in input pixels */
+export interface Region extends Box {
+  name?: string; // Copied to the `region` of elements found inside
+  allowedChars?: string; // Overrides DetectOptions.allowedChars inside this region
+  pattern?: string | RegExp;
 }
 
 export interface DetectOptions {
   grouped?: boolean;
+  layout?: boolean; // Also return `blocks`
+  tables?: boolean | { rulingLines?: boolean }; // Also return `tables`, optionally using the image's ruling lines
+  regions?: Region[]; // Only read inside these (pages aren't rotated or deskewed then)
+  allowedChars?: string; // Only these characters may be recognized
+  pattern?: string | RegExp; // Each line's text has to match this in full
   onnxOptions?: Partial<OnnxOptions>;
+  debug?: boolean | { outputDir: string }; // Also return debug images, or write them (detectPages: one page-<n> directory per page)
+}
+
+export interface RecognizeRegionOptions extends Omit<DetectOptions, 'grouped' | 'regions'> {
+  region?: Box; // In input pixels (default: whole image)
+}
+
+export interface DetectPagesOptions extends DetectOptions {
+  pages?: number[]; // Zero-based page indices (default: all)
+  dpi?: number; // PDF rasterization resolution (default: 200)
+}
+
+export interface ServeOptions extends OcrOptions {
+  port?: number; // Port to listen on (default: 3000)
+  host?: string; // Interface to bind (default: all)
+  concurrency?: number; // OCR requests processed at the same time (default: 1)
+  maxQueue?: number; // Requests allowed to wait before getting 429 (default: 16)
+  maxBodySize?: number; // Largest accepted upload in bytes (default: 20 MB)
+}
+
+export interface ServerState {
+  status: 'loading' | 'ready' | 'error';
+  error: string | null;
+}
+
+export interface OcrServer extends Server {
+  ready: Promise<ServerState>; // Settles once the default models have loaded or failed to
 }
 
 // =============================================================================
@@ -141,19 +483,72 @@ export interface DetectOptions {
 // =============================================================================
 
 declare class Ocr {
-  detect(imagePath: string, options?: DetectOptions): Promise<OCRResult>;
+  detect(input: ImageInput, options?: DetectOptions): Promise<OCRResult>;
+
+  detectPages(input: ImageInput, options?: DetectPagesOptions): Promise<PageResult[]>;
+
+  recognizeRegion(input: ImageInput, options?: RecognizeRegionOptions): Promise<TextElement | null>;
+
+  extractFields(input: ImageInput, template: string | FormTemplate, options?: Omit<DetectOptions, 'regions' | 'grouped'>): Promise<Record<string, FieldResult>>;
 
   setGroupingConfig(config: Partial<GroupingConfig>): void;
 
   getGroupingConfig(): GroupingConfig;
 
+  /** An instance sharing this one's loaded models, reading a subset of its languages or with other detection settings */
+  derive(options?: DeriveOptions): Ocr;
+
   static getAvailableLanguages(): RecognitionLanguages;
 
+  /** Add or replace a language for instances (and OcrPool workers) created afterwards */
+  static registerLanguage(code: string, language: LanguageDefinition): void;
+
+  /** Register every language of a manifest; resolves with their codes */
+  static loadLanguagePack(manifest: string | LanguagePack): Promise<string[]>;
+
+  static mapBoxToOriginal(box: Polygon, correction?: PageCorrection): Polygon;
+
+  static serve(options?: ServeOptions): Promise<OcrServer>;
+
+  /** Search parameters for the values scoring best on a labeled dataset */
+  static tune(dataset: string | Dataset, options?: TuneOptions): Promise<TuneResult>;
+
   static create(options?: OcrOptions): Promise<Ocr>;
 }
 
 export { Ocr };
 
+// =============================================================================
+// Worker Pool
+// =============================================================================
+
+export interface OcrPoolOptions extends OcrOptions {
+  workers?: number; // Worker threads, each with its own models (default: available CPU cores)
+}
+
+export interface PoolDetectOptions extends DetectOptions {
+  signal?: AbortSignal; // Drops a queued call; replaces the worker of a running one
+}
+
+export interface PoolDetectPagesOptions extends DetectPagesOptions {
+  signal?: AbortSignal;
+}
+
+declare class OcrPool {
+  readonly size: number;
+
+  /** Buffers owning their whole ArrayBuffer are transferred and become unusable by the caller */
+  detect(input: ImageInput, options?: PoolDetectOptions): Promise<OCRResult>;
+
+  detectPages(input: ImageInput, options?: PoolDetectPagesOptions): Promise<PageResult[]>;
+
+  destroy(): Promise<void>;
+
+  static create(options?: OcrPoolOptions): Promise<OcrPool>;
+}
+
+export { OcrPool };
+
 // =============================================================================
 // Internal Types (Exported for Completeness)
 // =============================================================================
@@ -166,18 +561,40 @@ export interface DistanceResult {
 
 export interface LineImage {
   box: Polygon;
-  image: any; // ImageRaw instance (internal)
+  image: ImageRaw;
+  transform: number[][]; // 3x3 homography from crop pixels to source image pixels
+  angle?: 0 | 180;
 }
 
 export interface ModelData {
-  data: number[];
+  data: number[] | Float32Array;
   width: number;
   height: number;
+  batch?: number;
+}
+
+export interface DecodedGlyph {
+  text: string;
+  confidence: number;
+  start: number; // Fraction of the line width
+  end: number;
 }
 
 export interface DecodeResult {
   text: string;
   mean: number;
+  glyphs: DecodedGlyph[];
+  alternatives?: TextAlternative[];
+  unconstrained?: { text: string; confidence: number };
+  matched?: boolean;
+}
+
+export interface RecognitionResult extends Omit<DecodeResult, 'glyphs'> {
+  box: Polygon;
+  angle?: 0 | 180;
+  language: SupportedLanguage;
+  words: Omit<TextGlyph, 'frame'>[];
+  chars: Omit<TextGlyph, 'frame'>[];
 }
 
 // Re-export for library users
@@ -186,9 +603,183 @@ export { InferenceSession, Tensor } from 'onnxruntime-node';
 // Default config type
 export const DEFAULT_CONFIG: DefaultConfig;
 
+/** Thrown by Ocr.create when default model files can't be found, verified or downloaded */
+export declare class MissingModelsError extends Error {
+  name: 'MissingModelsError';
+  missing: { name: string; reason: string }[];
+}
+
 // Utility functions (typed for advanced users)
 export function calculateDistance(box1: Box, box2: Box): DistanceResult;
 
 export function groupTextElements(elements: TextElement[], config?: Partial<GroupingConfig>): Paragraph[][];
 
-export function createParagraph(group: TextElement[]): Paragraph;
\ No newline at end of file
+export function createParagraph(group: TextElement[]): Paragraph;
+
+// =============================================================================
+// Exporters
+// =============================================================================
+
+export interface ExportOptions {
+  imageFilename?: string; // Source image name recorded in the document
+  width?: number; // Page width when the result doesn't carry one
+  height?: number; // Page height when the result doesn't carry one
+}
+
+export interface PageXmlOptions extends ExportOptions {
+  created?: Date; // Creation timestamp (default: now)
+}
+
+export function toHocr(results: OCRResult | PageResult[], options?: ExportOptions): string;
+
+export function toAlto(results: OCRResult | PageResult[], options?: ExportOptions): string;
+
+export function toPageXml(result: OCRResult, options?: PageXmlOptions): string;
+
+export function toText(results: OCRResult | PageResult[]): string;
+
+export function toTsv(results: OCRResult | PageResult[], options?: Pick<ExportOptions, 'width' | 'height'>): string;
+
+export function tableToCsv(table: Table, options?: { delimiter?: string }): string;
+
+export function tableToHtml(table: Table): string;
+
+export interface SearchablePdfOptions {
+  dpi?: number; // Image resolution, sets the page size (default: image metadata, else 300)
+}
+
+export function toSearchablePdf(imageInput: ImageInput, result: OCRResult, options?: SearchablePdfOptions): Promise<Uint8Array>;
+
+// =============================================================================
+// Evaluation
+// =============================================================================
+
+export interface GroundTruthRegion {
+  points: Polygon;
+  text: string;
+  dontCare: boolean; // `###` regions: neither required nor counted as false detections
+}
+
+export interface DatasetImage {
+  file: string;
+  name: string; // Path relative to the dataset directory
+  language: string | null; // First subdirectory, if any
+  regions: GroundTruthRegion[];
+}
+
+export interface Dataset {
+  images: DatasetImage[];
+  skipped: { file: string; error: Error }[]; // Images without (valid) ground truth
+}
+
+export interface LoadDatasetOptions {
+  groundTruthDir?: string; // Where annotation files are (default: next to the images)
+}
+
+/** 'paragraph' compares against grouped paragraphs, so the result must be grouped */
+export type EvaluationLevel = 'line' | 'word' | 'paragraph';
+
+export interface ScoreOptions {
+  iouThreshold?: number; // Least IoU of a match (default: 0.5)
+  level?: EvaluationLevel; // What detections are compared as (default: 'line')
+  ignoreCase?: boolean;
+}
+
+export interface EvaluationMetrics {
+  images: number;
+  groundTruth: number; // Scored regions
+  detections: number;
+  matched: number;
+  characters: number;
+  characterErrors: number;
+  words: number;
+  wordErrors: number;
+  precision: number;
+  recall: number;
+  f1: number;
+  cer: number; // Character error rate
+  wer: number; // Word error rate
+}
+
+export interface ScoredPair {
+  expected: string | null; // null for a false detection
+  actual: string | null; // null for a missed region
+  iou: number;
+  characterErrors: number;
+  wordErrors: number;
+}
+
+export interface ImageScore extends EvaluationMetrics {
+  pairs: ScoredPair[];
+}
+
+export interface EvaluateOptions extends ScoreOptions, LoadDatasetOptions {
+  detectOptions?: DetectOptions; // Passed to detect (grouped only for the paragraph level)
+  onImage?: (score: ImageScore & { file: string; name: string; language: string | null }) => void | Promise<void>;
+}
+
+export interface EvaluationReport {
+  iouThreshold: number;
+  level: EvaluationLevel;
+  total: EvaluationMetrics;
+  languages: Record<string, EvaluationMetrics>;
+  images: (ImageScore & { file: string; name: string; language: string | null })[];
+  failures: { file: string; error: Error }[];
+}
+
+export function parseIcdarAnnotations(content: string): GroundTruthRegion[];
+
+export function loadDataset(dir: string, options?: LoadDatasetOptions): Promise<Dataset>;
+
+export function scoreResult(result: OCRResult, regions: GroundTruthRegion[], options?: ScoreOptions): ImageScore;
+
+export function aggregateScores(scores: (ImageScore & { language?: string | null })[]): {
+  total: EvaluationMetrics;
+  languages: Record<string, EvaluationMetrics>;
+};
+
+export function evaluate(ocr: Ocr | OcrPool, dataset: string | Dataset, options?: EvaluateOptions): Promise<EvaluationReport>;
+
+export function formatEvaluationReport(report: EvaluationReport, options?: { worst?: number }): string;
+
+// =============================================================================
+// Tuning
+// =============================================================================
+
+export type TuningParameter =
+  | 'detectionThreshold'
+  | 'unclipRatio'
+  | 'minBoxSize'
+  | 'confidenceThreshold'
+  | 'grouping.VERTICAL_THRESHOLD_RATIO'
+  | 'grouping.HORIZONTAL_THRESHOLD_RATIO'
+  | 'grouping.MIN_OVERLAP_RATIO'
+  | 'grouping.MAX_VERTICAL_OFFSET_RATIO';
+
+export type TuningValues = number[] | { min: number; max: number; step: number };
+
+export interface TuneOptions extends ScoreOptions, LoadDatasetOptions {
+  ocrOptions?: OcrOptions; // Options the trials start from (language, models...)
+  parameters?: TuningParameter[]; // Default: all that apply at the level
+  space?: Partial<Record<TuningParameter, TuningValues>>;
+  strategy?: 'random' | 'grid'; // Default: 'random'
+  trials?: number; // Combinations drawn by the random search (default: 40)
+  seed?: number; // Random search seed (default: 1)
+  metric?: 'f1' | 'precision' | 'recall' | 'cer' | 'wer'; // cer and wer are minimized (default: 'f1')
+  onTrial?: (trial: TuningTrial) => void | Promise<void>;
+}
+
+export interface TuningTrial {
+  parameters: Partial<Record<TuningParameter, number>>;
+  score: number; // The chosen metric
+  metrics: EvaluationMetrics;
+}
+
+export interface TuneResult {
+  metric: NonNullable<TuneOptions['metric']>;
+  options: OcrOptions; // ocrOptions with the best values, ready for Ocr.create
+  best: TuningTrial;
+  baseline: TuningTrial; // The values the search started from
+  trials: TuningTrial[];
+  failures: { file: string; error: Error }[];
+}